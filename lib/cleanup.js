@@ -0,0 +1,94 @@
+/******************************************************************************/
+
+
+import os from 'node:os';
+
+import { disposeWorkerPool } from './pool.js';
+
+
+/******************************************************************************/
+
+
+/* The signals that cause every live worker to be disposed of before the process
+ * exits. Miniflare already shuts down its runtimes and exits on its own when the
+ * process exits or gets SIGINT or SIGTERM, before any handler here could run,
+ * so only the signals that it does not handle are listed. */
+const CLEANUP_SIGNALS = ['SIGHUP'];
+
+/* Every Miniflare instance that has been created and not yet disposed of,
+ * keyed by the function that disposes of it. Each value is an object with the
+ * source of its configuration, the logger of the setup that created it, and a
+ * flag that indicates if it is pooled (in which case it is expected to be
+ * alive until the pool is disposed of). */
+const liveWorkers = new Map();
+
+/* Whether the process hooks that clean up after the live workers have been
+ * installed yet; this happens when the first worker is created. */
+let hooksInstalled = false;
+
+
+/******************************************************************************/
+
+
+/* Install the process hooks that clean up after the live workers. When the
+ * process is ending because of a signal that Miniflare does not handle, they
+ * are all disposed of first. When the process exits while any of them (other
+ * than pooled ones) are still alive, there is no chance to dispose of them, but
+ * Miniflare shuts down their runtimes on its own; each of them is reported,
+ * since it means that a setup had no matching teardown. */
+function installHooks() {
+  hooksInstalled = true;
+
+  process.once('exit', () => {
+    for (const { source, logger, pooled } of liveWorkers.values()) {
+      if (pooled === false) {
+        logger.warn(`the worker for '${source}' was never disposed of; make sure that every setup has a matching teardown`);
+      }
+    }
+  });
+
+  for (const signal of CLEANUP_SIGNALS) {
+    process.once(signal, async () => {
+      await disposeAllWorkers();
+      process.exit(128 + os.constants.signals[signal]);
+    });
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Start tracking a newly created worker, given the function that disposes of
+ * it, the source of its configuration (for reporting) and the logger of its
+ * setup. The returned record can be marked as pooled. */
+export function trackWorker(dispose, source, logger) {
+  if (hooksInstalled === false) {
+    installHooks();
+  }
+
+  const record = { source, logger, pooled: false };
+  liveWorkers.set(dispose, record);
+  return record;
+}
+
+
+/* Stop tracking a worker, given the function that disposes of it; this is done
+ * once it has been disposed of. */
+export function untrackWorker(dispose) {
+  liveWorkers.delete(dispose);
+}
+
+
+/* Dispose of every worker that has been created and not yet disposed of,
+ * including those in the pool; any handles to them can no longer be used. */
+export async function disposeAllWorkers() {
+  await disposeWorkerPool();
+
+  for (const dispose of [...liveWorkers.keys()]) {
+    await dispose();
+  }
+}
+
+
+/******************************************************************************/
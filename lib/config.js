@@ -1,6 +1,12 @@
 /******************************************************************************/
 
 
+import path from 'node:path';
+
+
+/******************************************************************************/
+
+
 /* The list of keys that are known to the current configuration loader,
  * categorized by whether or not an environment specific version can inherit
  * from the top level configuration or not.
@@ -16,6 +22,7 @@ const INHERITABLE_KEYS = [
   'compatibility_flags',
   'assets',
   'dev',
+  'triggers',
 ];
 
 const NON_INHERITABLE_KEYS = [
@@ -29,10 +36,57 @@ const NON_INHERITABLE_KEYS = [
   'secrets',
 ];
 
+/* When merging overrides into a configuration, the items in arrays of objects
+ * are matched up by the first of these keys that they have; for most bindings
+ * this is the binding name, but Durable Objects are matched by name and queue
+ * consumers by their queue. */
+const IDENTITY_KEYS = [
+  'binding',
+  'name',
+  'queue',
+];
+
+/* Keys that describe the configuration itself rather than the worker, and so
+ * are not considered to be ignored even though they are not carried over into
+ * the resolved configuration. */
+const METADATA_KEYS = [
+  'name',
+  '$schema',
+  'env',
+];
+
 
 /******************************************************************************/
 
 
+/* Takes a resolved configuration as returned by resolveEnvironmentConfig() and
+ * returns a copy in which all of the paths that it contains (the main script,
+ * the assets directory and the migrations directories of the databases) have
+ * been made absolute by resolving them against the given base directory, which
+ * is normally the folder that the configuration file is in. Paths that are
+ * already absolute are left as they are. */
+export function resolveConfigPaths(config, baseDir) {
+  const resolved = { ...config };
+
+  if (typeof resolved.main === 'string') {
+    resolved.main = path.resolve(baseDir, resolved.main);
+  }
+
+  if (typeof resolved.assets?.directory === 'string') {
+    resolved.assets = { ...resolved.assets, directory: path.resolve(baseDir, resolved.assets.directory) };
+  }
+
+  if (Array.isArray(resolved.d1_databases) === true) {
+    resolved.d1_databases = resolved.d1_databases.map(database => typeof database?.migrations_dir === 'string'
+      ? { ...database, migrations_dir: path.resolve(baseDir, database.migrations_dir) }
+      : database
+    );
+  }
+
+  return resolved;
+}
+
+
 /* Takes a raw parsed Wrangler configuration object and an optional environment
  * name and returns back a resolved for that specific environment by applying
  * Cloudflare's inheritance rules.
@@ -45,8 +99,12 @@ const NON_INHERITABLE_KEYS = [
  * environment provided, followed by applying all of the non-inheritable keys
  * specified.
  *
+ * When a baseDir is provided, the paths in the resolved configuration are made
+ * absolute relative to it; see resolveConfigPaths(). Otherwise they are left as
+ * they appear in the configuration.
+ *
  * The resolved configuration is returned back. */
- export function resolveEnvironmentConfig(rawConfig, envName) {
+ export function resolveEnvironmentConfig(rawConfig, envName, baseDir) {
   const resolved = {};
 
   // When there is no environment specified, all we have to do is pull all of
@@ -65,7 +123,7 @@ const NON_INHERITABLE_KEYS = [
       }
     }
 
-    return resolved;
+    return baseDir !== undefined ? resolveConfigPaths(resolved, baseDir) : resolved;
   }
 
   // An environment was specified, so the first thing we need to do is pull the
@@ -92,7 +150,110 @@ const NON_INHERITABLE_KEYS = [
     }
   }
 
-  return resolved;
+  return baseDir !== undefined ? resolveConfigPaths(resolved, baseDir) : resolved;
+}
+
+
+/******************************************************************************/
+
+
+/* Takes a raw parsed Wrangler configuration object and an optional environment
+ * name and returns back a list of the keys in it that are dropped when the
+ * configuration is resolved by resolveEnvironmentConfig(), because the loader
+ * does not know about them.
+ *
+ * When envName is undefined, only the top level keys are considered. When it
+ * is provided, the keys in that environment are considered as well, and those
+ * are returned with their full path, e.g. 'env.staging.hyperdrive'.
+ *
+ * Keys that only describe the configuration itself, such as the name of the
+ * worker, are never considered to be ignored. */
+export function findIgnoredKeys(rawConfig, envName) {
+  const knownKeys = [...INHERITABLE_KEYS, ...NON_INHERITABLE_KEYS, ...METADATA_KEYS];
+  const ignored = Object.keys(rawConfig).filter(key => knownKeys.includes(key) === false);
+
+  if (envName !== undefined) {
+    const envConfig = rawConfig?.env?.[envName] ?? {};
+    for (const key of Object.keys(envConfig)) {
+      if (knownKeys.includes(key) === false) {
+        ignored.push(`env.${envName}.${key}`);
+      }
+    }
+  }
+
+  return ignored;
+}
+
+
+/******************************************************************************/
+
+
+/* Return true if the given value is a plain object (and not an array). */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Array.isArray(value) === false;
+}
+
+
+/* Merge an array from the overrides into an array from the configuration,
+ * returning the new array; see mergeConfigOverrides(). */
+function mergeArray(base, override) {
+  // Arrays of anything other than objects are replaced outright.
+  if (Array.isArray(base) === false ||
+      override.every(item => isPlainObject(item)) === false ||
+      base.every(item => isPlainObject(item)) === false) {
+    return override;
+  }
+
+  const result = [...base];
+  for (const item of override) {
+    const identity = IDENTITY_KEYS.find(key => item[key] !== undefined);
+    const index = identity !== undefined
+      ? result.findIndex(entry => entry[identity] === item[identity])
+      : -1;
+
+    if (index !== -1) {
+      result[index] = mergeValue(result[index], item);
+    } else {
+      result.push(item);
+    }
+  }
+
+  return result;
+}
+
+
+/* Merge a value from the overrides into the value in the configuration,
+ * returning the new value; see mergeConfigOverrides(). */
+function mergeValue(base, override) {
+  if (Array.isArray(override) === true) {
+    return mergeArray(base, override);
+  }
+
+  if (isPlainObject(override) === true && isPlainObject(base) === true) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+      result[key] = mergeValue(base[key], value);
+    }
+    return result;
+  }
+
+  return override;
+}
+
+
+/* Takes a resolved configuration as returned by resolveEnvironmentConfig() and
+ * a partial configuration of overrides, and returns a new configuration in
+ * which the overrides have been deep merged on top of the original; neither of
+ * the inputs is modified.
+ *
+ * Objects are merged key by key, while other values in the overrides replace
+ * those in the configuration. Arrays of objects, such as the lists of bindings,
+ * are merged item by item; an item in the overrides is merged into the item in
+ * the configuration that has the same binding (or name, or queue; see
+ * IDENTITY_KEYS), and is added to the end of the array if there is no such
+ * item. All other arrays are replaced. */
+export function mergeConfigOverrides(config, overrides) {
+  return mergeValue(config, overrides);
 }
 
 
@@ -0,0 +1,184 @@
+/******************************************************************************/
+
+
+/* The fields in a cron expression, in the order in which they appear, along
+ * with the range of values they allow and any names that can be used in place
+ * of numbers.
+ *
+ * This follows the Cloudflare cron trigger syntax, in which the days of the
+ * week are numbered 1-7 starting from Sunday. */
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  {
+    name: 'month', min: 1, max: 12,
+    names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+  },
+  {
+    name: 'day of week', min: 1, max: 7,
+    names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT']
+  },
+];
+
+
+/******************************************************************************/
+
+
+/* Return the number of days in the month of the given date (in UTC). */
+function daysInMonth(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+}
+
+
+/* Return the day of the week of the given date (in UTC), numbered 1-7 from
+ * Sunday, to match the cron syntax. */
+function dayOfWeek(date) {
+  return date.getUTCDay() + 1;
+}
+
+
+/******************************************************************************/
+
+
+/* Parse a single value from the given cron field, which may be a number or one
+ * of the names that the field allows, returning the number. An error is thrown
+ * if the value is not valid for the field. */
+function parseValue(field, text) {
+  const nameIndex = field.names?.indexOf(text.toUpperCase()) ?? -1;
+  const value = nameIndex !== -1 ? nameIndex + field.min : Number(text);
+
+  if (Number.isInteger(value) === false || value < field.min || value > field.max) {
+    throw new Error(`'${text}' is not a valid ${field.name} in a cron expression`);
+  }
+
+  return value;
+}
+
+
+/* Parse one comma separated part of a cron field, returning a function that
+ * takes a value and a date and returns true if that part matches. */
+function parsePart(field, part) {
+  // Days of the month support 'L' (last day of the month), 'LW' (last weekday
+  // of the month) and 'nW' (the weekday closest to day n).
+  if (field.name === 'day of month') {
+    if (part === 'L') {
+      return (value, date) => value === daysInMonth(date);
+    }
+
+    if (part === 'LW' || part.endsWith('W') === true) {
+      const target = part === 'LW' ? null : parseValue(field, part.slice(0, -1));
+      return (value, date) => {
+        const lastDay = daysInMonth(date);
+        let day = Math.min(target ?? lastDay, lastDay);
+
+        // Find the day of the week of the target day; if it is on a weekend,
+        // move it to the closest weekday that is still within the month.
+        const weekday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), day)).getUTCDay();
+        if (weekday === 6) {
+          day = (day === 1) ? 3 : day - 1;
+        } else if (weekday === 0) {
+          day = (day === lastDay) ? day - 2 : day + 1;
+        }
+
+        return value === day;
+      };
+    }
+  }
+
+  // Days of the week support 'nL' (the last day n of the month) and 'n#k' (the
+  // k'th day n of the month).
+  if (field.name === 'day of week') {
+    if (part.length > 1 && part.endsWith('L') === true) {
+      const target = parseValue(field, part.slice(0, -1));
+      return (value, date) => value === target && date.getUTCDate() + 7 > daysInMonth(date);
+    }
+
+    if (part.includes('#') === true) {
+      const [day, nth] = part.split('#');
+      const target = parseValue(field, day);
+      const week = Number(nth);
+      if (Number.isInteger(week) === false || week < 1 || week > 5) {
+        throw new Error(`'${part}' is not a valid ${field.name} in a cron expression`);
+      }
+      return (value, date) => value === target && Math.ceil(date.getUTCDate() / 7) === week;
+    }
+  }
+
+  // Everything else is a value, a range or a wildcard, with an optional step.
+  const [range, stepText] = part.split('/');
+  const step = stepText !== undefined ? Number(stepText) : 1;
+  if (Number.isInteger(step) === false || step < 1) {
+    throw new Error(`'${part}' has an invalid step in a cron expression`);
+  }
+
+  let start = field.min;
+  let end = field.max;
+  if (range !== '*' && range !== '?') {
+    const [low, high] = range.split('-');
+    start = parseValue(field, low);
+
+    // A single value with no step matches only itself, but a single value
+    // with a step is a range that runs to the end of the field.
+    if (high !== undefined) {
+      end = parseValue(field, high);
+    } else if (stepText === undefined) {
+      end = start;
+    }
+  }
+
+  return value => value >= start && value <= end && (value - start) % step === 0;
+}
+
+
+/******************************************************************************/
+
+
+/* Given a cron expression as it would appear in the triggers.crons key of a
+ * Wrangler configuration and a date, return true if the cron trigger would
+ * fire at that time, or false if it would not. Only the minute of the date is
+ * considered, and all times are in UTC, as they are on Cloudflare.
+ *
+ * The expression has five space separated fields (minute, hour, day of month,
+ * month, day of week), each of which supports values, ranges, lists, steps and
+ * wildcards as well as the 'L', 'W' and '#' extensions that Cloudflare allows.
+ *
+ * As with standard cron, when both the day of month and the day of week are
+ * restricted, the expression fires on days that match either of them.
+ *
+ * An error is thrown if the expression is not valid. */
+export function cronMatches(expression, date) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`'${expression}' is not a valid cron expression; expected ${CRON_FIELDS.length} fields`);
+  }
+
+  // For each field, create a function that will tell us if a value matches any
+  // of the comma separated parts in it.
+  const matchers = CRON_FIELDS.map((field, index) => {
+    const fieldParts = parts[index].split(',').map(part => parsePart(field, part));
+    return (value, date) => fieldParts.some(matches => matches(value, date));
+  });
+
+  const [minute, hour, dayOfMonthMatch, month, dayOfWeekMatch] = matchers;
+  if (minute(date.getUTCMinutes(), date) === false ||
+      hour(date.getUTCHours(), date) === false ||
+      month(date.getUTCMonth() + 1, date) === false) {
+    return false;
+  }
+
+  // The day matches based on which of the two day fields are restricted.
+  const domRestricted = parts[2] !== '*' && parts[2] !== '?';
+  const dowRestricted = parts[4] !== '*' && parts[4] !== '?';
+  const domMatches = dayOfMonthMatch(date.getUTCDate(), date);
+  const dowMatches = dayOfWeekMatch(dayOfWeek(date), date);
+
+  if (domRestricted === true && dowRestricted === true) {
+    return domMatches === true || dowMatches === true;
+  }
+
+  return domMatches === true && dowMatches === true;
+}
+
+
+/******************************************************************************/
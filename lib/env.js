@@ -6,6 +6,67 @@ import { parseEnv } from 'node:util';
 import path from 'node:path';
 import fs from 'node:fs';
 
+import { defaultLogger } from './logger.js';
+import { globToRegExp } from './glob.js';
+
+
+/******************************************************************************/
+
+
+/* The name of the file that can hold the schema for the test variables; like
+ * the files with the variables themselves, it is looked for relative to the
+ * Wrangler configuration file. */
+const SCHEMA_FILENAME = '.test.vars.schema.json';
+
+/* The patterns for the names of variables whose values are masked when the
+ * loaded variables are logged, in addition to the required secrets; each one
+ * is a name in which '*' matches anything. */
+export const DEFAULT_REDACT_PATTERNS = [
+  '*_TOKEN',
+  '*_KEY',
+  '*_SECRET',
+  '*_PASSWORD',
+];
+
+/* What is shown in the log in place of the value of a redacted variable. */
+const REDACTED_VALUE = '[redacted]';
+
+/* The types that a variable can be declared as in a schema, and for each one a
+ * function that converts a value to that type, returning undefined if the value
+ * is not valid for the type. Values that are not strings (which can happen for
+ * variables that come from the vars of a JSON configuration) are accepted if
+ * they already have the type. */
+const VARIABLE_TYPES = {
+  string: value => typeof value === 'string' ? value : undefined,
+
+  number: value => {
+    if (typeof value === 'number') {
+      return value;
+    }
+    const number = Number(value);
+    return (typeof value === 'string' && value.trim() !== '' && Number.isFinite(number) === true) ? number : undefined;
+  },
+
+  boolean: value => {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    const text = String(value).toLowerCase();
+    return text === 'true' ? true : (text === 'false' ? false : undefined);
+  },
+
+  json: value => {
+    if (typeof value !== 'string') {
+      return value;
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return undefined;
+    }
+  },
+};
+
 
 /******************************************************************************/
 
@@ -21,15 +82,13 @@ import fs from 'node:fs';
  *     wrangler dev              # envName is undefined; use top level vars
  *
  * All loaded files are searched for relative to the location of the loaded
- * Wrangler configuraton file, if any. For the purposes of this call, that is
- * always the current working directory, since this happens as a part of the
- * config load and files referenced in the Wrangler configuration are also
- * relative.
+ * Wrangler configuraton file, if any, since files referenced in the Wrangler
+ * configuration are also relative to it. That folder is given by the baseDir
+ * key of the options (see below).
  *
  * The argument rootDir represents current working directory at the point where
- * the test suite launched (e.g. before it was changed to load a Wrangler
- * config, etc); this is generall the project root, and is used to generate
- * filename logs that are relative to that location.
+ * the test suite launched; this is generally the project root, and is used to
+ * generate filename logs that are relative to that location.
  *
  * In order to maintain security and not inadvertently leak secrets, although
  * this follows a load order similar to Wrangler the filenames it uses are
@@ -81,9 +140,28 @@ import fs from 'node:fs';
  * from files will be discarded. In addition, any variables mentioned here that
  * are not present in any loaded file will generate a warning.
  *
+ * The loaded variables are logged for debugging purposes. So that secrets do
+ * not end up in CI logs, the values of the required secrets and of variables
+ * whose names match one of the redact patterns in the options are masked. The
+ * options object can contain:
+ *   - baseDir: the folder that the files are searched for in (default: the
+ *              current working directory)
+ *   - redact: an array of patterns for the names of variables to mask, where
+ *             '*' matches anything (default: DEFAULT_REDACT_PATTERNS)
+ *   - showValues: false to list only the names of the variables, and none of
+ *                 their values (default: true)
+ *   - logger: the logger to report to (default: the default logger)
+ *
  * The return value is an object that contains the loaded keys and the values
  * they have (remembering the precedence rules). */
-export function loadTestEnvironment(config, envName, rootDir) {
+export function loadTestEnvironment(config, envName, rootDir, options = {}) {
+  const {
+    baseDir = process.cwd(),
+    redact = DEFAULT_REDACT_PATTERNS,
+    showValues = true,
+    logger = defaultLogger
+  } = options;
+
   let loadedVars = {};
   let loadedFiles = [];
   let loadedFromVars = false;
@@ -96,7 +174,7 @@ export function loadTestEnvironment(config, envName, rootDir) {
     // Create an absolute file path to the file we're looking for, and then a
     // version of it that is relative to the root we were given, for use in
     // reporting.
-    const asbFilePath = path.resolve(process.cwd(), filename);
+    const asbFilePath = path.resolve(baseDir, filename);
     const relFilePath = path.relative(rootDir, asbFilePath);
 
     // If the file we're supposed to load exists, then load its content in and
@@ -110,7 +188,7 @@ export function loadTestEnvironment(config, envName, rootDir) {
 
     // We can report before we return
     if (vars !== null) {
-      console.log(`[cf-aegis] loaded ${Object.keys(vars).length} variable(s) from ${relFilePath}`);
+      logger.info(`loaded ${Object.keys(vars).length} variable(s) from ${relFilePath}`);
     }
 
     return vars;
@@ -166,7 +244,7 @@ export function loadTestEnvironment(config, envName, rootDir) {
   // If we didn't load any variables and we were asked to load the process
   // environment, then pull in the whole of process.env here.
   if (loadedFromVars === false && process.env.CLOUDFLARE_INCLUDE_PROCESS_ENV === 'true') {
-    console.log(`[cf-aegis] including process.env variables (CLOUDFLARE_INCLUDE_PROCESS_ENV is true)`);
+    logger.info(`including process.env variables (CLOUDFLARE_INCLUDE_PROCESS_ENV is true)`);
     loadedVars = { ...loadedVars, ...process.env };
     processEnvIncluded = true;
   }
@@ -194,33 +272,149 @@ export function loadTestEnvironment(config, envName, rootDir) {
 
     // Did we find any required variables missing?
     if (missing.length > 0) {
-      console.warn(`[cf-aegis] WARNING: Missing required secrets: ${missing.join(', ')}`);
+      logger.warn(`missing required secrets: ${missing.join(', ')}`);
     }
   }
 
-  // For debug purposes, we output what it is that we loaded.
+  // For debug purposes, we output what it is that we loaded. The values of
+  // anything that looks like a secret are masked, unless values are not being
+  // shown at all.
+  const redactValue = createRedactor(config, redact);
+
   const keys = Object.keys(loadedVars);
   if (keys.length > 0) {
-    console.log(`[cf-aegis] injected Test Variables/Secrets:`);
+    const lines = [`injected Test Variables/Secrets:`];
     for (const key of keys) {
       // We have a list of variables but we only display the ones that we loaded
       // from files (because the list might contain keys from process.env).
       if (fileLoadedKeys.has(key) === true) {
-        console.log(`  - ${key} = ${loadedVars[key]}`);
+        if (showValues === false) {
+          lines.push(`  - ${key}`);
+        } else {
+          lines.push(`  - ${key} = ${redactValue(key, loadedVars[key])}`);
+        }
       }
     }
 
     // If we brought in the process.env, then say that, in a way that does not
     // leak anything.
     if (processEnvIncluded === true) {
-      console.log(`  - (...plus variables from process.env)`);
+      lines.push(`  - (...plus variables from process.env)`);
     }
+
+    logger.info(lines.join('\n'));
   } else if (loadedFiles.length > 0 || (Array.isArray(requiredSecrets) === true && requiredSecrets.length > 0)) {
-    console.log(`[cf-aegis] no test variables or secrets loaded.`);
+    logger.info(`no test variables or secrets loaded.`);
   }
 
   return loadedVars;
 }
 
 
+/******************************************************************************/
+
+
+/* Given a Wrangler configuration and a list of redact patterns (see
+ * loadTestEnvironment()), return a function that takes the name and value of a
+ * variable and returns the value as it should appear in a log; this is the
+ * value itself, unless the variable is a required secret or its name matches
+ * one of the patterns. */
+export function createRedactor(config, redact = DEFAULT_REDACT_PATTERNS) {
+  const requiredSecrets = config?.secrets?.required;
+  const redactPatterns = redact.map(pattern => globToRegExp(pattern, 'i'));
+
+  return (key, value) => {
+    const isRedacted = requiredSecrets?.includes(key) === true ||
+                       redactPatterns.some(pattern => pattern.test(key) === true);
+    return isRedacted === true ? REDACTED_VALUE : value;
+  };
+}
+
+
+/* Look for the test variable schema file alongside the Wrangler configuration
+ * (that is, in the given base directory, which defaults to the current working
+ * directory), and return the schema in it, or undefined if there is no such
+ * file. The rootDir is used to report the location of the file relative to the
+ * project root, as with the variables.
+ *
+ * An error is thrown if the file exists but does not contain valid JSON. */
+export function loadVariableSchema(rootDir, logger = defaultLogger, baseDir = process.cwd()) {
+  const schemaPath = path.resolve(baseDir, SCHEMA_FILENAME);
+  if (fs.existsSync(schemaPath) === false) {
+    return undefined;
+  }
+
+  const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+  logger.info(`loaded variable schema from ${path.relative(rootDir, schemaPath)}`);
+
+  return schema;
+}
+
+
+/* Given the variables that will be handed to the worker and a schema for them,
+ * check the variables against the schema and return a new object in which they
+ * have been converted to their declared types.
+ *
+ * The schema is an object whose keys are the names of variables, and whose
+ * values are objects that can contain:
+ *   - type: one of 'string', 'number', 'boolean' or 'json' (default: 'string')
+ *   - enum: an array of the values that are allowed, after conversion
+ *   - pattern: a regular expression (as a string) that the value must match
+ *   - default: the value to use when the variable is not set
+ *   - required: whether it is an error if the variable is not set and has no
+ *               default (default: true)
+ *
+ * Variables that are not mentioned in the schema are passed through as they
+ * are.
+ *
+ * An error is thrown that lists every problem that was found, if there are
+ * any. */
+export function applyVariableSchema(vars, schema) {
+  const result = { ...vars };
+  const problems = [];
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const type = rule.type ?? 'string';
+    const convert = VARIABLE_TYPES[type];
+    if (convert === undefined) {
+      throw new Error(`the schema for test variable '${name}' has an unknown type '${type}'`);
+    }
+
+    const value = vars[name];
+    if (value === undefined) {
+      if (rule.default !== undefined) {
+        result[name] = rule.default;
+      } else if (rule.required !== false) {
+        problems.push(`'${name}' is required`);
+      }
+      continue;
+    }
+
+    if (rule.pattern !== undefined && new RegExp(rule.pattern).test(String(value)) === false) {
+      problems.push(`'${name}' does not match the pattern /${rule.pattern}/`);
+      continue;
+    }
+
+    const converted = convert(value);
+    if (converted === undefined) {
+      problems.push(`'${name}' is not a valid ${type}`);
+      continue;
+    }
+
+    if (Array.isArray(rule.enum) === true && rule.enum.includes(converted) === false) {
+      problems.push(`'${name}' must be one of: ${rule.enum.join(', ')}`);
+      continue;
+    }
+
+    result[name] = converted;
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`invalid test variables:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+
+  return result;
+}
+
+
 /******************************************************************************/
@@ -0,0 +1,176 @@
+/******************************************************************************/
+
+
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { splitSqlStatements } from './migrations.js';
+import { defaultLogger } from './logger.js';
+
+
+/******************************************************************************/
+
+
+/* Look up the binding with the given name in the bindings provided, throwing an
+ * error if it does not exist; kind is the kind of fixture being seeded, for
+ * the purposes of the error message. */
+function getBinding(bindings, name, kind) {
+  const binding = bindings[name];
+  if (binding === undefined) {
+    throw new Error(`cannot seed ${kind} fixtures; binding '${name}' does not exist`);
+  }
+
+  return binding;
+}
+
+
+/******************************************************************************/
+
+
+/* Seed the KV namespace with the given binding name with the provided list of
+ * entries, each of which is an object of the form:
+ *   { key, value, metadata, expiration, expirationTtl }
+ *
+ * Only the key and value are required. String values are stored as-is, while
+ * any other value is stored as JSON. */
+async function seedKV(bindings, name, entries) {
+  const kv = getBinding(bindings, name, 'KV');
+
+  for (const { key, value, metadata, expiration, expirationTtl } of entries) {
+    const content = typeof value === 'string' ? value : JSON.stringify(value);
+    await kv.put(key, content, { metadata, expiration, expirationTtl });
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Seed the R2 bucket with the given binding name with the provided list of
+ * objects, each of which is an object of the form:
+ *   { key, content, file, httpMetadata, customMetadata }
+ *
+ * The content of the object comes either from the inline content or from the
+ * file (relative to baseDir); one or the other must be provided. */
+async function seedR2(bindings, name, objects, baseDir) {
+  const bucket = getBinding(bindings, name, 'R2');
+
+  for (const { key, content, file, httpMetadata, customMetadata } of objects) {
+    if (content === undefined && file === undefined) {
+      throw new Error(`R2 fixture '${key}' for '${name}' must have either content or a file`);
+    }
+
+    // File content is copied out of the Buffer that node gives us, since the
+    // Miniflare proxy can't serialize a Buffer that is a view into a shared
+    // memory pool.
+    const body = file !== undefined ? new Uint8Array(fs.readFileSync(path.resolve(baseDir, file))) : content;
+    await bucket.put(key, body, { httpMetadata, customMetadata });
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Given a D1 database, the name of a table and a list of rows, each of which is
+ * an object whose keys are column names, return a list of prepared statements
+ * that insert those rows into the table. Each row can have its own columns. */
+export function createInsertStatements(db, table, rows) {
+  return rows.map(row => {
+    const columns = Object.keys(row);
+    const names = columns.map(column => `"${column}"`).join(', ');
+    const params = columns.map(() => '?').join(', ');
+    return db.prepare(`INSERT INTO "${table}" (${names}) VALUES (${params})`)
+             .bind(...columns.map(column => row[column]));
+  });
+}
+
+
+/******************************************************************************/
+
+
+/* Seed the D1 database with the given binding name with the provided list of
+ * fixtures, each of which is an object of one of the forms:
+ *   { file: 'seed.sql' }
+ *   { table: 'users', rows: [ { id: 1, name: 'alice' }, ... ] }
+ *   { table: 'users', file: 'users.json' }
+ *
+ * SQL files are executed statement by statement, while rows (provided inline
+ * or as a JSON array in a file) are inserted into the given table, using the
+ * keys of each row as the column names. Files are relative to baseDir. */
+async function seedD1(bindings, name, fixtures, baseDir) {
+  const db = getBinding(bindings, name, 'D1');
+
+  for (const fixture of fixtures) {
+    let statements = [];
+
+    // A fixture with no table is a file of raw SQL statements.
+    if (fixture.table === undefined) {
+      if (fixture.file === undefined) {
+        throw new Error(`D1 fixture for '${name}' must have either a table or a file`);
+      }
+
+      const content = fs.readFileSync(path.resolve(baseDir, fixture.file), 'utf8');
+      statements = splitSqlStatements(content).map(stmt => db.prepare(stmt));
+    } else {
+      // The rows either come inline or from a JSON file.
+      let rows = fixture.rows;
+      if (rows === undefined && fixture.file !== undefined) {
+        rows = JSON.parse(fs.readFileSync(path.resolve(baseDir, fixture.file), 'utf8'));
+      }
+
+      if (Array.isArray(rows) === false) {
+        throw new Error(`D1 fixture for table '${fixture.table}' in '${name}' must provide an array of rows`);
+      }
+
+      statements = createInsertStatements(db, fixture.table, rows);
+    }
+
+    if (statements.length > 0) {
+      await db.batch(statements);
+    }
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Seed the bindings of a worker with the provided fixtures, so that the tests
+ * can start with data in place. The fixtures object can contain any of the
+ * keys 'kv', 'r2' and 'd1', each of which is an object in which the keys are
+ * the names of the bindings to seed and the values are an array of the items
+ * to seed into that binding:
+ *
+ *   {
+ *     kv: { KV: [{ key: 'name', value: 'data', metadata: { a: 1 } }] },
+ *     r2: { BUCKET: [{ key: 'file.txt', file: './data/file.txt' }] },
+ *     d1: { DB: [{ file: './seed.sql' }, { table: 'users', rows: [{ name: 'bob' }] }] }
+ *   }
+ *
+ * See the individual seeding functions above for the structure of the items in
+ * each array.
+ *
+ * The bindings argument is the object containing the bindings of the worker
+ * to be seeded, as returned by Miniflare. Any files that are referenced are
+ * relative to the provided baseDir. Progress is reported to the logger.
+ *
+ * An error is thrown if a fixture references a binding that does not exist, or
+ * if a fixture is malformed. */
+export async function seedFixtures(fixtures, bindings, baseDir, logger = defaultLogger) {
+  const seeders = [
+    { key: 'kv', seed: seedKV },
+    { key: 'r2', seed: seedR2 },
+    { key: 'd1', seed: seedD1 },
+  ];
+
+  for (const { key, seed } of seeders) {
+    for (const [name, items] of Object.entries(fixtures[key] ?? {})) {
+      await seed(bindings, name, items, baseDir);
+      logger.info(`seeded ${items.length} ${key} fixture(s) into '${name}'`);
+    }
+  }
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,14 @@
+/******************************************************************************/
+
+
+/* Given a pattern in which any '*' characters match any run of characters and
+ * everything else matches only itself, return a RegExp that matches strings
+ * that match the pattern in full. The flags, if any, are given to the RegExp,
+ * so that (for example) the match can ignore case. */
+export function globToRegExp(pattern, flags) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`, flags);
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,840 @@
+/******************************************************************************/
+
+
+import { Miniflare } from 'miniflare';
+
+import path from 'node:path';
+
+import { loadTestEnvironment, loadVariableSchema, applyVariableSchema, createRedactor } from './env.js'
+import { loadWranglerConfig, findWranglerConfig } from './wrangler.js'
+import { resolveEnvironmentConfig, resolveConfigPaths, findIgnoredKeys, mergeConfigOverrides } from './config.js'
+import { createMiniflareOptions, applyAssetRouterWorkaround } from './miniflare.js'
+import { applyD1Migrations } from './migrations.js'
+import { seedFixtures } from './fixtures.js'
+import { createStorageHelpers } from './storage.js'
+import { applyManualQueueDelivery, createQueueHelpers } from './queues.js'
+import { applyMockRecorders } from './mocks.js'
+import { applyLogCapture } from './logs.js'
+import { createOutboundService } from './outbound.js'
+import { validateWranglerConfig, reportConfigIssues } from './validate.js'
+import { interpolateConfig } from './interpolate.js'
+import { createLogger } from './logger.js'
+import { createPoolKey, createTrackedWorker, acquirePooledWorker, addPooledWorker, createPoolRelease } from './pool.js'
+import { trackWorker, untrackWorker } from './cleanup.js'
+
+
+/******************************************************************************/
+
+
+// The appropriate handling for static assets is to use the options outlined
+// here to tell Miniflare to serve files that are in the configured folder, with
+// the binding being used to actually fetch such assets. Miniflare should handle
+// this by trying assets first and then falling back.
+//
+// However it does not do this; instead the asset handler takes full control.
+// This appears to be a bug in Miniflare.
+//
+// If this is set to true, then we apply a workaround by applying a proxy router
+// to the worker stack as the first worker in order to serve the assets, and
+// remove that information from the configuration at the point where it is
+// applied to miniflare.
+const APPLY_ASSET_WORKAROUND = true;
+
+// When the configuration does not tell Miniflare to listen on a port, requests
+// made via the fetch helper are dispatched directly into the worker instead of
+// going over the network. URL fragments still need a base in order to be a
+// valid URL, so this is the synthetic base that is used in that case.
+const DISPATCH_BASE_URL = 'http://localhost';
+
+
+
+/******************************************************************************/
+
+
+/* Load the configuration of one of the other workers in a project that is made
+ * up of several, given either the name of its configuration file (relative to
+ * the root) or the configuration object itself. The configuration is checked
+ * and interpolated in the same way as that of the main worker, and must have a
+ * name, since that is how the other workers bind to it.
+ *
+ * The return value is an object with the name of the worker, the folder that
+ * its configuration is relative to, its resolved configuration (in which all
+ * paths are absolute) and its test variables. */
+function loadPeerWorker(input, targetEnv, rootDir, options) {
+  const { interpolate, validation, redact, logVariableValues, logger } = options;
+
+  let rawConfig = input;
+  const source = typeof input === 'string' ? path.relative(rootDir, path.resolve(rootDir, input)) : '<inline config>';
+  const dir = typeof input === 'string' ? path.dirname(path.resolve(rootDir, input)) : rootDir;
+
+  if (typeof rawConfig === 'string') {
+    rawConfig = loadWranglerConfig(rawConfig, rootDir);
+  }
+
+  let config = resolveEnvironmentConfig(rawConfig, targetEnv, dir);
+  const vars = loadTestEnvironment(config, targetEnv, rootDir, {
+    baseDir: dir,
+    redact,
+    showValues: logVariableValues,
+    logger
+  });
+
+  if (interpolate === true) {
+    rawConfig = interpolateConfig(rawConfig, { ...process.env, ...vars }, targetEnv);
+    config = resolveEnvironmentConfig(rawConfig, targetEnv, dir);
+  }
+
+  reportConfigIssues(validateWranglerConfig(rawConfig), source, validation, logger);
+
+  if (typeof rawConfig.name !== 'string' || rawConfig.name === '') {
+    throw new Error(`the configuration in '${source}' must have a name to be used as one of several workers`);
+  }
+
+  return { name: rawConfig.name, dir, config, vars };
+}
+
+
+
+/* Run the configuration of a worker (and of any other workers in the same
+ * project) through everything needed to turn it into Miniflare options, given
+ * the input configuration (a file or an object), the inputs of the other
+ * workers and the settings that createTestWorker() was given. The settings can
+ * also contain reloadOverrides, a partial configuration that is applied on
+ * top of everything else when the worker is reloaded.
+ *
+ * The return value is an object with the resolved configuration and the other
+ * details of the workers, the Miniflare options, and the records of the mocks,
+ * outbound requests and logs that those options feed into. */
+function loadWorker(inputConfig, peerInputs, settings) {
+  const {
+    portAdjustment, port, workerMocks, queueDelivery, outbound, validation,
+    interpolate, overrides, varsSchema, redact, logVariableValues, captureLogs,
+    targetEnv, rootDir, logger, reloadOverrides
+  } = settings;
+
+  // Our initial config is what was provided, but as a guard, assume an empty
+  // object.
+  let rawConfig = inputConfig || {};
+
+  // Problems in the configuration are reported relative to where it came from;
+  // for files this is the name of the file relative to the root.
+  const configSource = typeof rawConfig === 'string' ? path.relative(rootDir, path.resolve(rootDir, rawConfig)) : '<inline config>';
+
+  // Paths in a wrangler configuration file (and the test variable files that
+  // go with it) are relative to the folder that the file is in, while those in
+  // an inline configuration are relative to the root.
+  const configDir = typeof rawConfig === 'string' ? path.dirname(path.resolve(rootDir, rawConfig)) : rootDir;
+
+  // If the input configuration was given to us as a string, then it is a
+  // wrangler configuration file; load it now.
+  if (typeof rawConfig === 'string') {
+    rawConfig = loadWranglerConfig(rawConfig, rootDir);
+  }
+
+  // Resolve the raw configuration down to the requested environment; all of
+  // the paths in the result are absolute, so that they can be used from
+  // anywhere.
+  let config = resolveEnvironmentConfig(rawConfig, targetEnv, configDir);
+
+  // Load in the test environment variables so that we can merge them into the
+  // appropriate bindngs array.
+  const testEnvVars = loadTestEnvironment(config, targetEnv, rootDir, {
+    baseDir: configDir,
+    redact,
+    showValues: logVariableValues,
+    logger
+  });
+
+  // If requested, expand the variable references in the configuration now
+  // that the test variables are known, and then resolve it again, since the
+  // values may have changed.
+  if (interpolate === true) {
+    rawConfig = interpolateConfig(rawConfig, { ...process.env, ...testEnvVars }, targetEnv);
+    config = resolveEnvironmentConfig(rawConfig, targetEnv, configDir);
+  }
+
+  // Make sure that the configuration is valid before we try to use it.
+  reportConfigIssues(validateWranglerConfig(rawConfig), configSource, validation, logger);
+
+  // Load the configurations of the other workers, if there are any; every
+  // worker needs a distinct name so that they can be bound to each other.
+  const mainName = rawConfig.name;
+  const peers = peerInputs.map(input => loadPeerWorker(input, targetEnv, rootDir, {
+    interpolate, validation, redact, logVariableValues, logger
+  }));
+
+  const workerNames = [mainName ?? 'main'];
+  for (const peer of peers) {
+    if (peer.name === 'main' || workerNames.includes(peer.name) === true) {
+      throw new Error(`there is more than one worker named '${peer.name}'`);
+    }
+    workerNames.push(peer.name);
+  }
+
+  // Anything in the configuration that was dropped while resolving it is not
+  // being tested; validation has already warned about each of them, so they
+  // are only collected here for the tests to check.
+  const ignoredKeys = findIgnoredKeys(rawConfig, targetEnv);
+
+  // Apply any overrides on top of the resolved configuration; any paths in
+  // them are relative to it as well. The overrides are partial, so it is the
+  // result of merging them that is checked, in the same way as the
+  // configuration itself; the resolved configuration has no issues of its own
+  // to report again.
+  if (overrides !== undefined) {
+    config = mergeConfigOverrides(config, overrides);
+    reportConfigIssues(validateWranglerConfig(config), '<overrides>', validation, logger);
+    config = resolveConfigPaths(config, configDir);
+  }
+
+  // When reloading, the overrides for the reload go on top of those, in the
+  // same way.
+  if (reloadOverrides !== undefined) {
+    config = mergeConfigOverrides(config, reloadOverrides);
+    reportConfigIssues(validateWranglerConfig(config), '<reload overrides>', validation, logger);
+    config = resolveConfigPaths(config, configDir);
+  }
+
+  // If there is a schema for the variables, check them against it and
+  // convert them to their declared types. This covers the variables from the
+  // configuration as well as the test variables, so that defaults do not
+  // replace configured values.
+  let workerVars = testEnvVars;
+  const schema = varsSchema ?? loadVariableSchema(rootDir, logger, configDir);
+  if (schema !== undefined) {
+    workerVars = applyVariableSchema({ ...config.vars, ...testEnvVars }, schema);
+  }
+
+  // Convert the configuration (either loaded or not) into an object that is
+  // appropriate for Miniflare.
+  const miniflareOptions = createMiniflareOptions(config, workerMocks, logger, {
+    baseDir: configDir,
+    name: mainName,
+    peers
+  });
+
+  // Services that are not one of the workers are mocked.
+  const realNames = [mainName, ...peers.map(peer => peer.name)];
+  const mockedServices = [...new Set(
+    [config, ...peers.map(peer => peer.config)]
+      .flatMap(workerConfig => workerConfig.services ?? [])
+      .map(({ service }) => service)
+      .filter(service => realNames.includes(service) === false)
+  )];
+
+  // If we were given an explicit port, it overrides whatever the config may
+  // have said. In 'auto' mode we ask for port 0, which tells Miniflare to
+  // bind to any free port; the actual port is determined once it is ready.
+  if (port !== undefined) {
+    miniflareOptions.host = miniflareOptions.host ?? '127.0.0.1';
+    miniflareOptions.port = (port === 'auto') ? 0 : port;
+  }
+
+  // If the Miniflare options include a port, it means we need to set up
+  // our context for a listening server; by default, we assume that the
+  // configuration does not tell us to listen for incoming connections.
+  const server = { isServerListening: false };
+  if (miniflareOptions.port !== undefined) {
+    // Apply the port adjustment. This allows us to shift the port used by
+    // tests so they don't collide with a local dev instance running on the
+    // default port. This makes no sense for automatic ports, so skip it.
+    if (port !== 'auto') {
+      miniflareOptions.port += portAdjustment;
+    }
+
+    // Turn on the flag that indicates that we're listening, and set what our
+    // port and inner base URL will be.
+    server.isServerListening = true;
+    server.serverPort = miniflareOptions.port;
+    server.serverBaseUrl = `http://${miniflareOptions.host}:${miniflareOptions.port}`;
+  }
+
+  // Look up the worker that is the main worker (it should be the first one
+  // but better safe than sorry); if it does not list a script or a script
+  // path, then insert a simple stub; this allows Miniflare to fire even if
+  // no worker is defined, with a base handler.
+  const mainWorker = miniflareOptions.workers.find(w => w.name === 'main');
+  if (mainWorker !== undefined &&
+      (mainWorker.script === undefined || mainWorker.script === null) &&
+      (mainWorker.scriptPath === undefined || mainWorker.scriptPath === null)) {
+    mainWorker.script = 'export default {}';
+  }
+
+  // Arrange for all requests to mocked services to be recorded, whichever of
+  // the workers makes them.
+  const mocks = applyMockRecorders(miniflareOptions.workers, mockedServices);
+
+  // If requested, capture the console output of the real workers and of the
+  // mocked services; the output of the workers that cf-aegis adds is not of
+  // interest. Anything else that the runtime outputs is only shown when
+  // debugging, so that the test output stays clean.
+  let logs;
+  if (captureLogs === true) {
+    const names = ['main', ...peers.map(peer => peer.name), ...mockedServices];
+    logs = applyLogCapture(miniflareOptions.workers, names);
+    miniflareOptions.handleStructuredLogs = ({ level, message }) => {
+      logger.debug(`runtime ${level}: ${message}`);
+    };
+  }
+
+  // If outbound requests are to be mocked, route all of the fetch() calls of
+  // the main worker through the handler for them.
+  let outboundRecord;
+  if (outbound !== undefined) {
+    const { service, record } = createOutboundService(outbound, logger);
+    mainWorker.outboundService = service;
+    outboundRecord = record;
+  }
+
+  // If queue delivery is manual, swap the queues of the main worker for the
+  // harness that holds messages until they are flushed. This must happen
+  // before the asset workaround, which moves the main worker.
+  if (queueDelivery === 'manual') {
+    applyManualQueueDelivery(miniflareOptions.workers);
+  }
+
+  // If we are supposed to apply the asset workaround, do that now, at the
+  // last possible second before we create the object.
+  if (APPLY_ASSET_WORKAROUND === true) {
+    applyAssetRouterWorkaround(miniflareOptions.workers, configDir);
+  }
+
+  // Update the environment of the workers; we patch in any environment
+  // variables that we might have loaded, as well as ensuring that the
+  // variable that lets tested code know it's being tested is defnied.
+  for (const worker of miniflareOptions.workers) {
+    if (worker.bindings === undefined) {
+      worker.bindings = {};
+    }
+
+    // If this is the main worker, then apply any environment varibles that
+    // we got to the bindings on top of what is already present.
+    if (worker.name === 'main') {
+      Object.assign(worker.bindings, workerVars);
+    }
+
+    // The other workers get their own variables in the same way.
+    const peer = peers.find(peer => peer.name === worker.name);
+    if (peer !== undefined) {
+      Object.assign(worker.bindings, peer.vars);
+    }
+
+    // Any worker that does not have the test definition variable set to
+    // something explicity should have that value set.
+    if (worker.bindings.CF_AEGIS === undefined) {
+      worker.bindings.CF_AEGIS = 'true';
+    }
+  }
+
+  // When debugging, dump the final options; the values of any bindings that
+  // look like secrets are redacted in the same way as the loaded variables,
+  // and functions (which can't be shown) are marked as such.
+  if (logger.level === 'debug') {
+    const redactValue = createRedactor(config, redact);
+    const dump = {
+      ...miniflareOptions,
+      workers: miniflareOptions.workers.map(worker => ({
+        ...worker,
+        bindings: Object.fromEntries(
+          Object.entries(worker.bindings).map(([key, value]) => [key, redactValue(key, value)])
+        )
+      }))
+    };
+    const replacer = (key, value) => typeof value === 'function' ? '[function]' : value;
+    logger.debug(`miniflare options:\n${JSON.stringify(dump, replacer, 2)}`);
+  }
+
+  return {
+    config, configSource, configDir, mainName, peers, workerNames, workerVars,
+    ignoredKeys, server, miniflareOptions, mocks, logs, outboundRecord
+  };
+}
+
+
+/* Put the storage of the workers into the state that the tests expect to start
+ * from, given the handle, the result of loadWorker() and the settings; the
+ * migrations of any D1 databases are applied, and then the fixtures (unless
+ * told not to) are seeded. */
+async function prepareStorage(handle, build, settings, seedData = true) {
+  const { applyMigrations, fixtures, rootDir, logger } = settings;
+  const { config, configDir, peers } = build;
+
+  // If any D1 databases are configured, apply their migrations now so that
+  // the tests run against the real schema.
+  if (applyMigrations === true) {
+    await applyD1Migrations(config, handle.env, rootDir, logger, configDir);
+
+    // The migrations of the other workers are relative to their own
+    // configurations.
+    for (const peer of peers) {
+      await applyD1Migrations(peer.config, handle.workers[peer.name].env, rootDir, logger, peer.dir);
+    }
+  }
+
+  // If there are any fixtures, seed them into the bindings now; this happens
+  // after the migrations so that the tables exist. Fixtures come from the
+  // test code and not the config, so their paths are relative to the root.
+  if (seedData === true && fixtures !== undefined) {
+    await seedFixtures(fixtures, handle.env, rootDir, logger);
+  }
+}
+
+
+/* Populate the handle with the bindings and helpers for the Miniflare instance
+ * in it, given the result of loadWorker() that the instance is running and the
+ * settings. This happens when the worker is created, and again whenever it is
+ * reloaded, since the bindings obtained before then are no longer usable. */
+async function attachWorker(handle, build, settings) {
+  const { port, queueDelivery, logger } = settings;
+  const { config, peers, workerNames, miniflareOptions } = build;
+
+  // The parts of the handle that only some workers have are removed first, so
+  // that none are left over from before a reload.
+  for (const key of ['outbound', 'logs', 'queues', 'serverPort', 'serverBaseUrl']) {
+    delete handle[key];
+  }
+
+  handle.env = await handle.worker.getBindings('main');
+
+  // Provide the bindings of every worker by name; the main worker shares the
+  // bindings above, which restoring a snapshot can replace.
+  handle.workers = { [workerNames[0]]: { get env() { return handle.env; } } };
+  for (const peer of peers) {
+    handle.workers[peer.name] = { env: await handle.worker.getBindings(peer.name) };
+  }
+
+  // Attach the helpers that allow the tests to capture and restore the state
+  // of the storage bindings. Restoring can restart the worker, after which
+  // the bindings of the other workers have to be fetched again too. Emptying
+  // the storage also drops the schema of the D1 databases, so it is prepared
+  // again afterwards, the same way as when the worker was created; since that
+  // happens on every reset and every reuse of a pooled worker, the progress
+  // of doing so is only reported at the debug level.
+  const { snapshot, restore, resetStorage } = createStorageHelpers(handle, config, miniflareOptions, logger);
+  const refreshPeers = async () => {
+    for (const peer of peers) {
+      handle.workers[peer.name].env = await handle.worker.getBindings(peer.name);
+    }
+  };
+  handle.snapshot = snapshot;
+  handle.restore = async state => {
+    await restore(state);
+    await refreshPeers();
+  };
+  handle.resetStorage = async () => {
+    await resetStorage();
+    await refreshPeers();
+    await prepareStorage(handle, build, { ...settings, logger: { ...logger, info: logger.debug } });
+  };
+
+  // Capture the configured cron triggers, and provide a helper that invokes
+  // the scheduled handler of the worker. When no cron is given, the first
+  // configured one (if any) is used, as if that trigger had fired.
+  handle.crons = config.triggers?.crons ?? [];
+  handle.scheduled = async ({ cron = handle.crons[0], scheduledTime } = {}) => {
+    const worker = await handle.worker.getWorker('main');
+    return worker.scheduled({ cron, scheduledTime });
+  };
+
+  // Provide access to the requests that were made to the mocked services, and
+  // to the configuration keys that are not being tested.
+  handle.mocks = build.mocks;
+  handle.ignoredKeys = build.ignoredKeys;
+
+  // Provide access to the intercepted outbound requests, if any.
+  if (build.outboundRecord !== undefined) {
+    handle.outbound = build.outboundRecord;
+  }
+
+  // Provide access to the captured console output, if any.
+  if (build.logs !== undefined) {
+    handle.logs = build.logs;
+  }
+
+  // When queue delivery is manual, provide the helpers to drive it.
+  if (queueDelivery === 'manual') {
+    handle.queues = createQueueHelpers(handle, config);
+  }
+
+  // Set up the details of the server, if it is listening.
+  Object.assign(handle, build.server);
+
+  // In 'auto' port mode, the port that we know about is not the real one;
+  // wait for the server to be ready and then use the address that it
+  // actually bound to.
+  if (port === 'auto') {
+    const readyUrl = await handle.worker.ready;
+    handle.serverPort = Number(readyUrl.port);
+    handle.serverBaseUrl = `http://${miniflareOptions.host}:${handle.serverPort}`;
+
+    // Should the worker need to be restarted, make sure that it comes back
+    // on the same port.
+    miniflareOptions.port = handle.serverPort;
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Create a Miniflare instance configured with bindings defined in the provided
+ * configuration, and return a handle for testing against it. This does not
+ * depend on any particular test framework; aegisSetup() is a thin wrapper that
+ * places the handle into an Aegis context.
+ *
+ * The input config can be either a Miniflare configuration object or a path
+ * containing a Wrangler configuration file (in TOML, JSON or JSONC format). If
+ * it is not given, the configuration file is searched for in the same way that
+ * Wrangler does, starting in the current folder; if none is found, an empty
+ * configuration is used.
+ *
+ * For a project made up of several workers, the input config can also be a list
+ * of configurations (files or objects); the first is the main worker, and each
+ * of the others is created as a real worker with the name in its configuration.
+ * Service bindings to any of these names are bound to that worker rather than
+ * to a mock.
+ *
+ * If a filename is provided, that file is loaded and parsed to get the config
+ * needed; otherwise, it is assumed that the configuration that is passed in is
+ * consistent and valid.
+ *
+ * The `options` argument allows for customizing the setup:
+ * - `portAdjustment`: An integer to add to the configured port (default: 0)
+ * - `port`: Overrides the port from the configuration; either an explicit port
+ *           number, or 'auto' to have an ephemeral port allocated when the
+ *           server starts (default: undefined, use the configured port)
+ * - `workerMocks`: An object containing mock worker definitions (default: {})
+ * - `applyMigrations`: Whether or not to apply the migrations for any configured
+ *                      D1 databases (default: true)
+ * - `fixtures`: An object describing data to seed into the KV, R2 and D1
+ *               bindings before tests run (default: undefined)
+ * - `queueDelivery`: Either 'automatic' to have Miniflare deliver queue
+ *                    messages on its own, or 'manual' to only deliver them
+ *                    when queues.flush() is called (default: 'automatic')
+ * - `outbound`: A function or an array of routes that handles every outbound
+ *               fetch() made by the worker (default: undefined, requests go
+ *               out to the network as normal)
+ * - `validation`: Either 'warn' to log any unknown or unsupported keys in the
+ *                 configuration, or 'strict' to throw an error if there are
+ *                 unknown keys in it; invalid keys are always an error
+ *                 (default: 'warn')
+ * - `interpolate`: Whether or not to expand ${VAR} and ${VAR:-default}
+ *                  references in the configuration using the test variables
+ *                  and the process environment (default: false)
+ * - `overrides`: A partial configuration that is deep merged on top of the
+ *                resolved configuration, with the items in lists of bindings
+ *                matched up by their binding name (default: undefined)
+ * - `varsSchema`: A schema that declares the type, allowed values, pattern
+ *                 and default of the variables for the worker; if not given,
+ *                 it is loaded from .test.vars.schema.json next to the
+ *                 configuration, if there is one (default: undefined)
+ * - `redact`: The patterns for the names of variables whose values are masked
+ *             when the loaded variables are logged, in addition to required
+ *             secrets (default: ['*_TOKEN', '*_KEY', '*_SECRET', '*_PASSWORD'])
+ * - `logVariableValues`: Whether the values of the loaded variables are logged,
+ *                        or only their names (default: true)
+ * - `logger`: The level of diagnostics to log ('silent', 'error', 'warn',
+ *             'info' or 'debug'), a function that takes a level and a message
+ *             to use in place of the console, or an object with a level and a
+ *             sink function (default: 'info')
+ * - `captureLogs`: Whether the console output of the main worker and the mocked
+ *                  services is captured into the logs instead of being shown
+ *                  (default: false)
+ * - `pool`: Whether the Miniflare instance is pooled, so that later calls with
+ *           the same resolved configuration and options reuse it rather than
+ *           creating a new one; pooled instances are only really disposed of
+ *           by disposeWorkerPool() (default: false)
+ * - `resetPooledStorage`: Whether the storage of a pooled instance is emptied
+ *                         (and its migrations and fixtures applied again) when
+ *                         it is reused (default: true)
+ * - `env`: The name of the environment configuration to utilize
+ *          (default: undefined)
+ *
+ * The returned handle has:
+ * - `worker`: The Miniflare instance.
+ * - `env`: An object containing all the configured bindings, ready for use.
+ * - `isServerListening`: true if the configuration file included dev server
+ *    configuration, false otherwise.
+ * - `serverPort`: the port the server is listening on (if it is); in 'auto'
+ *    port mode this is the port that was actually bound.
+ * - `serverBaseUrl`: the base URL the server is listening on (if it is)
+ * - `fetch`: A function to perform a fetch style operation against the worker
+ *            defined, with automatic handling for knowing what the bound port
+ *            is; if the server is not listening, the request is dispatched
+ *            directly to the worker in-process instead.
+ * - `snapshot`: A function that captures the contents of all of the KV, R2,
+ *               D1 and Durable Object bindings of the worker.
+ * - `restore`: A function that takes a value returned by snapshot() and puts
+ *              all of the storage back to that state.
+ * - `resetStorage`: A function that empties all of the storage bindings, and
+ *                   then applies the migrations and seeds the fixtures again.
+ * - `crons`: The list of cron expressions in the triggers of the configuration.
+ * - `scheduled`: A function that triggers the scheduled handler of the worker
+ *                and returns back the outcome.
+ * - `queues`: When queue delivery is manual, an object with `pending()` and
+ *             `flush()` functions for inspecting and delivering messages.
+ * - `mocks`: An object whose keys are the names of the mocked services, each
+ *            with a `calls` array recording the requests made to it and a
+ *            `clear()` function to empty it.
+ * - `ignoredKeys`: The keys in the configuration that cf-aegis does not support
+ *                  and which therefore have no effect on the tests.
+ * - `outbound`: When outbound requests are mocked, an object with a `calls`
+ *               array recording the intercepted requests and a `clear()`
+ *               function to empty it.
+ * - `workers`: An object whose keys are the names of the workers (with the main
+ *              worker named 'main' if its configuration has no name), each
+ *              with an `env` of the bindings of that worker.
+ * - `logs`: When logs are captured, an object with an `entries` array of the
+ *           console output of the workers, a `clear()` function to empty it
+ *           and a `settle()` function that waits for pending output to be
+ *           captured.
+ * - `reload`: An async function that takes overrides (a partial configuration,
+ *             as for the `overrides` option) and optionally an object with
+ *             `workerMocks`, and applies the configuration with those on top
+ *             to the running worker, refreshing the bindings and helpers.
+ * - `dispose`: An async function that shuts down the Miniflare instance (or
+ *              releases it back to the pool); it is safe to call this more
+ *              than once.
+ */
+export async function createTestWorker(inputConfig, options = {}) {
+  // Pull the options we want out of the provided options, settng up a default
+  // if they are missing.
+  const {
+    portAdjustment = 0,
+    port,
+    workerMocks = {},
+    applyMigrations = true,
+    fixtures,
+    queueDelivery = 'automatic',
+    outbound,
+    validation = 'warn',
+    interpolate = false,
+    overrides,
+    varsSchema,
+    redact,
+    logVariableValues = true,
+    logger: loggerOption,
+    captureLogs = false,
+    pool = false,
+    resetPooledStorage = true,
+    env: targetEnv
+  } = options;
+
+  // The port, if given, needs to be either a port number or the special 'auto'
+  // value; anything else is an error.
+  if (port !== undefined && port !== 'auto' && Number.isInteger(port) === false) {
+    throw new Error(`'${port}' is not a valid port; use a port number or 'auto'`);
+  }
+
+  // Create the logger that all of the diagnostics go to; this also validates
+  // the option.
+  const logger = createLogger(loggerOption);
+
+  if (queueDelivery !== 'automatic' && queueDelivery !== 'manual') {
+    throw new Error(`'${queueDelivery}' is not a valid queue delivery; use 'automatic' or 'manual'`);
+  }
+
+  if (validation !== 'warn' && validation !== 'strict') {
+    throw new Error(`'${validation}' is not a valid validation mode; use 'warn' or 'strict'`);
+  }
+
+  if (overrides !== undefined && (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides) === true)) {
+    throw new Error(`the overrides option must be an object`);
+  }
+
+  // A list of configurations describes a project made up of several workers;
+  // the first is the main worker, and the rest are its peers.
+  let peerInputs = [];
+  if (Array.isArray(inputConfig) === true) {
+    if (inputConfig.length === 0) {
+      throw new Error(`the list of configurations must not be empty`);
+    }
+    [inputConfig, ...peerInputs] = inputConfig;
+  }
+
+  // The folder that the tests were started in; this is generally the project
+  // root, and is what files are reported relative to.
+  const rootDir = process.cwd();
+
+  // If no configuration was provided, look for a configuration file in the
+  // same way that Wrangler would.
+  if (inputConfig === undefined) {
+    inputConfig = findWranglerConfig(rootDir);
+    if (inputConfig !== null) {
+      logger.info(`using configuration file '${path.relative(rootDir, inputConfig)}'`);
+    } else {
+      logger.info(`no configuration file found; using an empty configuration`);
+    }
+  }
+
+  // Everything that goes into loading the worker; this is needed again in order
+  // to reload it.
+  const settings = {
+    portAdjustment, port, workerMocks, applyMigrations, fixtures, queueDelivery,
+    outbound, validation, interpolate, overrides, varsSchema, redact,
+    logVariableValues, captureLogs, targetEnv, rootDir, logger
+  };
+  let build = loadWorker(inputConfig, peerInputs, settings);
+
+  // When pooling, everything that goes into creating the worker identifies it;
+  // if a worker was already created from the same things and nothing else is
+  // using it, use that instead of creating a new one.
+  let poolKey;
+  if (pool === true) {
+    const { configDir, mainName, config, workerVars, peers } = build;
+    poolKey = createPoolKey({
+      rootDir, configDir, mainName, config, workerVars,
+      peers: peers.map(({ name, dir, config, vars }) => ({ name, dir, config, vars })),
+      options: {
+        portAdjustment, port, workerMocks, applyMigrations, fixtures,
+        queueDelivery, outbound, captureLogs
+      }
+    });
+
+    // Workers whose mocks or outbound handlers are functions can't be pooled,
+    // since a later setup would get the functions of the first one.
+    if (poolKey === undefined) {
+      logger.info(`not pooling this worker, since its mocks or outbound handler include functions`);
+    }
+
+    const entry = poolKey !== undefined ? acquirePooledWorker(poolKey) : undefined;
+    if (entry !== undefined) {
+      logger.debug(`reusing the pooled worker for this configuration`);
+      await entry.reuse(resetPooledStorage);
+      entry.handle.dispose = createPoolRelease(poolKey);
+      return entry.handle;
+    }
+  }
+
+  // Create the worker, and keep track of it until it is disposed of, which is
+  // safe to do more than once. A worker that may be pooled also records its
+  // handles, so that it does not keep the process alive while it is idle.
+  const handle = {};
+  let handles;
+  if (poolKey !== undefined) {
+    ({ worker: handle.worker, handles } = createTrackedWorker(() => new Miniflare(build.miniflareOptions)));
+  } else {
+    handle.worker = new Miniflare(build.miniflareOptions);
+  }
+
+  let disposed = false;
+  const dispose = async () => {
+    if (disposed === false) {
+      disposed = true;
+      untrackWorker(dispose);
+      await handle.worker.dispose();
+    }
+  };
+  const tracking = trackWorker(dispose, build.configSource, logger);
+
+  // Populate the handle with the bindings of the worker and the helpers for
+  // using them. If anything goes wrong, the worker needs to be disposed of, or
+  // it would be left running with nothing to stop it.
+  try {
+    await attachWorker(handle, build, settings);
+    await prepareStorage(handle, build, settings);
+  } catch (error) {
+    await dispose();
+    throw error;
+  }
+
+  // The test suite may want to perform a fetch test by actually mimicking a
+  // fetch call; this helper makes that easier by allowing URL fragment
+  // fetches to hit the worker without having to know what the configured
+  // port is.
+  handle.fetch = async (url, init) => {
+    // When the server is listening, requests go over the network to the
+    // bound port; otherwise they are dispatched directly into the worker
+    // in-process, using a synthetic base URL.
+    const baseUrl = handle.isServerListening === true ? handle.serverBaseUrl : DISPATCH_BASE_URL;
+
+    // If the incoming URL is a fragment, convert it into a a full URL based
+    // on our configured base; this allows the caller to hit '/api/thing'
+    // without having to know what port the server is listening on.
+    let finalUrl = url;
+    if (url.startsWith('http') === false) {
+      finalUrl = new URL(url, baseUrl).toString();
+    }
+
+    // Do the fetch now, using the appropriate mechanism.
+    if (handle.isServerListening === true) {
+      return fetch(finalUrl, init);
+    }
+
+    return handle.worker.dispatchFetch(finalUrl, init);
+  };
+
+  // Tell the user if the server is listening.
+  if (handle.isServerListening === true) {
+    logger.info(`miniflare server is listening on ${handle.serverBaseUrl}`);
+  }
+
+  // Reloading runs the configuration through everything again, with the given
+  // overrides on top and the given mocks in place of those with the same name,
+  // and then applies the result to the running worker. Each reload starts from
+  // the configuration the worker was created with, so reloading with nothing
+  // puts it back the way that it was. Storage is kept as it is, apart from the
+  // migrations of any new databases.
+  let reloaded = false;
+  handle.reload = async (reloadOverrides, { workerMocks: reloadMocks } = {}) => {
+    if (reloadOverrides !== undefined && (reloadOverrides === null || typeof reloadOverrides !== 'object' || Array.isArray(reloadOverrides) === true)) {
+      throw new Error(`the reload overrides must be an object`);
+    }
+
+    const next = loadWorker(inputConfig, peerInputs, {
+      ...settings,
+      workerMocks: { ...workerMocks, ...reloadMocks },
+      reloadOverrides
+    });
+
+    // Restored Durable Object storage and an automatically allocated port
+    // both need to carry over to the new options.
+    const { durableObjectsPersist } = build.miniflareOptions;
+    if (durableObjectsPersist !== undefined) {
+      next.miniflareOptions.durableObjectsPersist = durableObjectsPersist;
+    }
+    if (port === 'auto') {
+      next.miniflareOptions.port = handle.serverPort;
+    }
+
+    await handle.worker.setOptions(next.miniflareOptions);
+    build = next;
+    reloaded = reloadOverrides !== undefined || reloadMocks !== undefined;
+
+    await attachWorker(handle, build, settings);
+    await prepareStorage(handle, build, settings, false);
+  };
+
+  // Put a pooled worker back into the state that a new one would be in, so
+  // that another setup can use it. The requests recorded by the previous user
+  // are discarded, and unless told otherwise the storage of the main worker is
+  // reset.
+  const reuse = async resetStorage => {
+    if (reloaded === true) {
+      await handle.reload();
+    }
+
+    for (const mock of Object.values(handle.mocks)) {
+      mock.clear();
+    }
+    handle.outbound?.clear();
+    handle.logs?.clear();
+
+    if (resetStorage === true) {
+      await handle.resetStorage();
+    }
+  };
+
+  // A pooled worker stays alive for later setups, so disposing of its handle
+  // only releases it back to the pool.
+  handle.dispose = dispose;
+  if (poolKey !== undefined && addPooledWorker(poolKey, { handle, dispose, reuse, handles }) === true) {
+    handle.dispose = createPoolRelease(poolKey);
+    tracking.pooled = true;
+  }
+
+  return handle;
+}
+
+
+/******************************************************************************/
@@ -1,33 +1,38 @@
 /******************************************************************************/
 
 
-import { Miniflare } from 'miniflare';
-import { addCheck } from '@axel669/aegis';
+import { cronMatches } from './cron.js'
+import { findLogEntries } from './logs.js'
+import { createTestWorker } from './harness.js'
+import { disposeWorkerPool } from './pool.js'
+import { disposeAllWorkers } from './cleanup.js'
+import { createLogger } from './logger.js'
 
-import path from 'node:path';
-
-import { loadTestEnvironment } from './env.js'
-import { loadWranglerConfig } from './wrangler.js'
-import { resolveEnvironmentConfig } from './config.js'
-import { createMiniflareOptions, applyAssetRouterWorkaround } from './miniflare.js'
+export { createTestWorker, disposeWorkerPool, disposeAllWorkers }
 
 
 /******************************************************************************/
 
 
-// The appropriate handling for static assets is to use the options outlined
-// here to tell Miniflare to serve files that are in the configured folder, with
-// the binding being used to actually fetch such assets. Miniflare should handle
-// this by trying assets first and then falling back.
-//
-// However it does not do this; instead the asset handler takes full control.
-// This appears to be a bug in Miniflare.
-//
-// If this is set to true, then we apply a workaround by applying a proxy router
-// to the worker stack as the first worker in order to serve the assets, and
-// remove that information from the configuration at the point where it is
-// applied to miniflare.
-const APPLY_ASSET_WORKAROUND = true;
+/* Aegis is an optional peer dependency; the test worker itself can be used
+ * from any test framework, so Aegis is only loaded if it is installed, and the
+ * custom checks are only available when it is. */
+let addCheck;
+try {
+  ({ addCheck } = await import('@axel669/aegis'));
+} catch (error) {
+  if (error.code !== 'ERR_MODULE_NOT_FOUND') {
+    throw error;
+  }
+}
+
+
+/* The contexts that aegisSetup() has populated and which have not been torn
+ * down yet. Each is mapped to an object with the dispose function of its
+ * handle, so that aegisTeardown() can dispose of (or for pooled workers,
+ * release) the right one, and the set of keys that were added to it, so that
+ * they can all be removed. */
+const contexts = new WeakMap();
 
 
 /******************************************************************************/
@@ -100,6 +105,11 @@ function isDeepEqual(a, b) {
  *
  * As such, this is an entirely optional call and is not needed. */
 export function initializeCustomChecks() {
+  // The checks can only be added if Aegis is installed.
+  if (addCheck === undefined) {
+    throw new Error('the custom checks require @axel669/aegis to be installed');
+  }
+
   // Check that a value is an array.
   addCheck.value.isArray(
     source => Array.isArray(source) === true
@@ -145,6 +155,30 @@ export function initializeCustomChecks() {
   addCheck.value.notDeepEquals(
     (source, expected) => isDeepEqual(source, expected) === false
   );
+
+  // Check that a cron expression (or any of an array of them, such as the
+  // configured crons) would fire at a specific time.
+  addCheck.value.cronFiresAt(
+    (source, date) => [source].flat().some(expression => cronMatches(expression, date))
+  );
+
+  // Check that a cron expression (or none of an array of them) would NOT fire
+  // at a specific time.
+  addCheck.value.cronDoesNotFireAt(
+    (source, date) => [source].flat().some(expression => cronMatches(expression, date)) === false
+  );
+
+  // Check that captured worker logs (ctx.logs or an array of its entries)
+  // include a message that contains some text or matches a RegExp, optionally
+  // limited to a level and/or a worker.
+  addCheck.value.wasLogged(
+    (source, match, filter) => findLogEntries(source, match, filter).length > 0
+  );
+
+  // Check that captured worker logs do NOT include a matching message.
+  addCheck.value.wasNotLogged(
+    (source, match, filter) => findLogEntries(source, match, filter).length === 0
+  );
 }
 
 
@@ -152,169 +186,54 @@ export function initializeCustomChecks() {
 
 
 /* An Aegis helper function for the `setup` hook. It creates a Miniflare
- * instance configured with bindings defined in the provided configuration.
- *
- * The input config can be either a Miniflare configuration object or a path
- * containing a Wrangler configuration file (in either TOML or JSONC format).
- *
- * If a filename is provided, that file is loaded and parsed to get the config
- * needed; otherwise, it is assumed that the configuration that is passed in is
- * consistent and valid.
- *
- * The `helperOptions` argument allows for customizing the setup:
- * - `portAdjustment`: An integer to add to the configured port (default: 0)
- * - `workerMocks`: An object containing mock worker definitions (default: {})
- * - `env`: The name of the environment configuration to utilize
- *          (default: undefined)
- *
- * The provided Aegis context (e.g., runScope) will be populated with:
- * - `worker`: The Miniflare instance.
- * - `env`: An object containing all the configured bindings, ready for use.
- * - `isServerListening`: true if the configuration file included dev server
- *    configuration, false otherwise.
- * - `serverBaseUrl`: the base URL the server is listening on (if it is)
- * - `fetch`: A function to perform a fetch style operation against the worker
- *            defined, with automatic handling for knowing what the bound port
- *            is; if the server is not listening, this will generate an error
- *            response instead.
- */
+ * instance using createTestWorker() (see there for the details of the input
+ * config and the available options) and populates the provided Aegis context
+ * (e.g., runScope) with everything in the returned handle except for the
+ * dispose() function; aegisTeardown() takes care of that. */
 export async function aegisSetup(ctx, inputConfig, helperOptions = {}) {
-  // Pull the options we want out of the provided helper options, settng up a
-  // default if they are missing.
-  const { portAdjustment = 0, workerMocks = {}, env: targetEnv } = helperOptions;
-
-  // By default, we assume that the configuration does not tell us to listen for
-  // incoming connections.
-  ctx.isServerListening = false;
-
-  // If we load a configuration file we need to change the working directory;
-  // this stores what the working dir was before that, so we can put it back
-  // before we proceed.
-  const rootDir = process.cwd();
-
-  // Our initial config is what was provided, but as a guard, assume an empty
-  // object.
-  let rawConfig = inputConfig || {};
-
-  try {
-    // If the input configuration was given to us as a string, then it is a
-    // wrangler configuration file. Paths in the file are relative to the
-    // current directory, so temporarily switch to that folder and load the
-    // config.
-    if (typeof rawConfig === 'string') {
-      process.chdir(path.dirname(rawConfig));
-
-      // Load the configuration file now; since we are in the location of that
-      // file, we only need the name.
-      rawConfig = loadWranglerConfig(path.basename(rawConfig));
-    }
-
-    // Resolve the raw configuration down to the requested environment.
-    const config = resolveEnvironmentConfig(rawConfig, targetEnv);
-
-    // Load in the test environment variables so that we can merge them into the
-    // appropriate bindngs array.
-    const testEnvVars = loadTestEnvironment(config, targetEnv, rootDir);
-
-    // Convert the configuration (either loaded or not) into an object that is
-    // appropriate for Miniflare.
-    const miniflareOptions = createMiniflareOptions(config, workerMocks);
-
-    // If the Miniflare options include a port, it means we need to set up
-    // our context for a listening server.
-    if (miniflareOptions.port !== undefined) {
-      // Apply the port adjustment. This allows us to shift the port used by
-      // tests so they don't collide with a local dev instance running on the
-      // default port.
-      miniflareOptions.port += portAdjustment;
-
-      // Turn on the flag that indicates that we're listening, and set what our
-      // port and inner base URL will be.
-      ctx.isServerListening = true;
-      ctx.serverPort = miniflareOptions.port;
-      ctx.serverBaseUrl = `http://${miniflareOptions.host}:${miniflareOptions.port}`;
-    }
-
-    // Look up the worker that is the main worker (it should be the first one
-    // but better safe than sorry); if it does not list a script or a script
-    // path, then insert a simple stub; this allows Miniflare to fire even if
-    // no worker is defined, with a base handler.
-    const mainWorker = miniflareOptions.workers.find(w => w.name === 'main');
-    if (mainWorker !== undefined &&
-        (mainWorker.script === undefined || mainWorker.script === null) &&
-        (mainWorker.scriptPath === undefined || mainWorker.scriptPath === null)) {
-      mainWorker.script = 'export default {}';
-    }
+  // A context that already has a live worker would lose track of it, leaving
+  // it running; tear it down first.
+  if (contexts.has(ctx) === true) {
+    createLogger(helperOptions.logger).warn(`setting up a worker in a context that already has one; tearing the existing worker down first`);
+    await aegisTeardown(ctx);
+  }
 
-    // console.debug(`miniflare options:`, JSON.stringify(miniflareOptions, null, 2));
+  const handle = await createTestWorker(inputConfig, helperOptions);
+  const record = { dispose: handle.dispose, keys: new Set() };
+  contexts.set(ctx, record);
 
-    // If we are supposed to apply the asset workaround, do that now, at the
-    // last possible second before we create the object.
-    if (APPLY_ASSET_WORKAROUND === true) {
-      applyAssetRouterWorkaround(miniflareOptions.workers);
+  // Copy the handle into the context; reloading replaces the bindings and the
+  // helpers, so this happens again after each reload, removing anything that
+  // the reloaded worker no longer has.
+  const populate = () => {
+    for (const key of record.keys) {
+      delete ctx[key];
     }
+    record.keys.clear();
 
-    // Update the environment of the workers; we patch in any environment
-    // variables that we might have loaded, as well as ensuring that the
-    // variable that lets tested code know it's being tested is defnied.
-    for (const worker of miniflareOptions.workers) {
-      if (worker.bindings === undefined) {
-        worker.bindings = {};
-      }
-
-      // If this is the main worker, then apply any environment varibles that
-      // we got to the bindings on top of what is already present.
-      if (worker.name === 'main') {
-        Object.assign(worker.bindings, testEnvVars);
-      }
-
-      // Any worker that does not have the test definition variable set to
-      // something explicity should have that value set.
-      if (worker.bindings.CF_AEGIS === undefined) {
-        worker.bindings.CF_AEGIS = 'true';
-      }
+    const { dispose, ...fields } = handle;
+    Object.assign(ctx, fields);
+    for (const key of [...Object.keys(fields), 'restore', 'resetStorage', 'reload']) {
+      record.keys.add(key);
     }
 
-    // Create the worker, and then fetch all of the bindings that exist on the
-    // main worker.
-    ctx.worker = new Miniflare(miniflareOptions);
-    ctx.env = await ctx.worker.getBindings('main');
-
-    // The test suite may want to perform a fetch test by actually mimicking a
-    // fetch call; this helper makes that easier by allowing URL fragment
-    // fetches to hit the worker without having to know what the configured
-    // port is.
-    ctx.fetch = async (url, init) => {
-      // If the server is not actually listening, then generate a failure
-      // response.
-      if (ctx.isServerListening === false) {
-        return new Response('Fetch aborted: Miniflare server is not configured to listen on a port.',
-          { status: 503, statusText: 'Service Unavailable' });
-      }
-
-      // If the incoming URL is a fragment, convert it into a a full URL based
-      // on our configured base; this allows the caller to hit '/api/thing'
-      // without having to know what port the server is listening on.
-      let finalUrl = url;
-      if (url.startsWith('http') === false) {
-        finalUrl = new URL(url, ctx.serverBaseUrl).toString();
-      }
-
-      // Do the fetch now.
-      return fetch(finalUrl, init);
+    // Restoring or resetting the storage can replace the bindings of the
+    // worker, which the context needs to see.
+    ctx.restore = async state => {
+      await handle.restore(state);
+      ctx.env = handle.env;
     };
+    ctx.resetStorage = async () => {
+      await handle.resetStorage();
+      ctx.env = handle.env;
+    };
+    ctx.reload = async (overrides, options) => {
+      await handle.reload(overrides, options);
+      populate();
+    };
+  };
 
-    // Tell the user if the server is listening.
-    if (ctx.isServerListening === true) {
-      console.log(`[cf-aegis] miniflare server is listening on ${ctx.serverBaseUrl}`);
-    }
-  }
-
-  finally {
-    // No matter how we leave the try block, make sure that the working
-    // directory is put back to what it started at.
-    process.chdir(rootDir);
-  }
+  populate();
 }
 
 
@@ -322,20 +241,25 @@ export async function aegisSetup(ctx, inputConfig, helperOptions = {}) {
 
 
 /* An Aegis helper function used to tear down a Miniflare instance that was set
- * up via a call to aegisSetup().
+ * up via a call to aegisSetup(); a pooled instance is released back to the
+ * pool instead.
  *
  * This should be invoked in the teardown hook that associates with the setup
 * hook in which you invoked the setup function. */
 export async function aegisTeardown(ctx) {
-  if (ctx.worker !== undefined && ctx.worker !== null) {
-    await ctx.worker.dispose();
+  const record = contexts.get(ctx);
+  if (record === undefined) {
+    return;
   }
 
-  delete ctx.worker;
-  delete ctx.env;
-  delete ctx.fetch;
-  delete ctx.isServerListening;
-  delete ctx.serverBaseUrl;
+  contexts.delete(ctx);
+  await record.dispose();
+
+  // Remove everything that was added to the context, leaving anything else
+  // that the tests put there alone.
+  for (const key of record.keys) {
+    delete ctx[key];
+  }
 }
 
 
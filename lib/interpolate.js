@@ -0,0 +1,136 @@
+/******************************************************************************/
+
+
+/* The pattern for a reference to a variable in a configuration string, which
+ * is either ${NAME} or ${NAME:-default}. */
+const REFERENCE_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/* The configuration keys whose values must be numbers. When the value of one of
+ * these is a string that interpolates to a number, it is converted, so that
+ * (for example) the port of the dev server can come from a variable. */
+const NUMERIC_KEYS = [
+  'port',
+  'max_batch_size',
+  'max_batch_timeout',
+  'max_retries',
+  'retry_delay',
+];
+
+
+/******************************************************************************/
+
+
+/* Return the path to a key in the configuration, given the list of keys that
+ * lead to it, in the form 'd1_databases[0].database_id'. */
+function formatKeyPath(keys) {
+  return keys.reduce((keyPath, key) => {
+    if (typeof key === 'number') {
+      return `${keyPath}[${key}]`;
+    }
+    return keyPath === '' ? key : `${keyPath}.${key}`;
+  }, '');
+}
+
+
+/* Expand all of the references in the given string using the variables given,
+ * adding the name of any that cannot be resolved to the unresolved list. */
+function interpolateString(text, variables, unresolved) {
+  return text.replace(REFERENCE_PATTERN, (reference, name, fallback) => {
+    const value = variables[name];
+
+    // As in the shell, the default is used when the variable is either not
+    // set or is empty.
+    if (value === undefined || value === '') {
+      if (fallback !== undefined) {
+        return fallback;
+      }
+      if (value === undefined) {
+        unresolved.push(reference);
+        return reference;
+      }
+    }
+
+    return value;
+  });
+}
+
+
+/* Recursively expand the references in the given configuration value, whose
+ * path in the configuration is the list of keys given, returning the new value;
+ * see interpolateConfig(). */
+function interpolateValue(value, keys, variables, issues) {
+  if (Array.isArray(value) === true) {
+    return value.map((item, index) => interpolateValue(item, [...keys, index], variables, issues));
+  }
+
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(
+      ([key, item]) => [key, interpolateValue(item, [...keys, key], variables, issues)]
+    ));
+  }
+
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const unresolved = [];
+  const result = interpolateString(value, variables, unresolved);
+  for (const reference of unresolved) {
+    issues.push(`'${reference}' in '${formatKeyPath(keys)}'`);
+  }
+
+  // Numeric keys are converted, so long as they are not variables for the
+  // worker, since those are always strings.
+  const key = keys[keys.length - 1];
+  if (result !== value && NUMERIC_KEYS.includes(key) === true && keys.includes('vars') === false &&
+      result.trim() !== '' && Number.isFinite(Number(result)) === true) {
+    return Number(result);
+  }
+
+  return result;
+}
+
+
+/******************************************************************************/
+
+
+/* Given a raw parsed Wrangler configuration object and an object of variables,
+ * return a copy of the configuration in which every ${NAME} in a string value
+ * has been replaced with the value of that variable. A reference can also be
+ * written as ${NAME:-default}, in which case the default is used if the
+ * variable is not set or is empty.
+ *
+ * Values for keys that must be numbers, such as the port of the dev server, are
+ * converted to numbers if they interpolate to one.
+ *
+ * Only the top level of the configuration and the block in 'env' for the
+ * target environment (if one is given) are interpolated; the blocks for the
+ * other environments are left as they are, since they are not used and can
+ * refer to variables that are only set when deploying to them.
+ *
+ * An error is thrown that lists every reference that could not be resolved,
+ * if there are any. */
+export function interpolateConfig(rawConfig, variables, targetEnv) {
+  const issues = [];
+  const { env, ...topLevel } = rawConfig;
+  const result = interpolateValue(topLevel, [], variables, issues);
+
+  if (env !== undefined) {
+    result.env = env;
+    if (targetEnv !== undefined && env?.[targetEnv] !== undefined) {
+      result.env = {
+        ...env,
+        [targetEnv]: interpolateValue(env[targetEnv], ['env', targetEnv], variables, issues)
+      };
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new Error(`unresolved variable reference(s) in configuration: ${issues.join(', ')}`);
+  }
+
+  return result;
+}
+
+
+/******************************************************************************/
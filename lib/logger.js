@@ -0,0 +1,93 @@
+/******************************************************************************/
+
+
+/* The levels that the logger can be set to, from least to most verbose. A
+ * logger that is set to a level emits messages at that level and all of the
+ * levels before it; 'silent' emits nothing at all. */
+export const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+
+/******************************************************************************/
+
+
+/* The sink used when no custom one is provided; this writes messages to the
+ * console with the cf-aegis prefix, marking errors and warnings as such. */
+function consoleSink(level, message) {
+  switch (level) {
+    case 'error':
+      console.error(`[cf-aegis] error: ${message}`);
+      break;
+
+    case 'warn':
+      console.warn(`[cf-aegis] warning: ${message}`);
+      break;
+
+    default:
+      console.log(`[cf-aegis] ${message}`);
+      break;
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Create and return a logger, given the logger option that was passed to
+ * aegisSetup(). The option can be any of:
+ *   - one of the names in LOG_LEVELS, to log to the console at that level
+ *   - a function that takes a level and a message, which is used as the sink
+ *     for all messages at the 'info' level and below
+ *   - an object with a level and/or a sink function, to set both
+ *
+ * When not given, the logger logs to the console at the 'info' level.
+ *
+ * The returned logger has a function for each of the levels (other than
+ * silent) that takes the message to log, and the level it was created with. An
+ * error is thrown if the option is not valid. */
+export function createLogger(option = 'info') {
+  let level = 'info';
+  let sink = consoleSink;
+
+  if (typeof option === 'string') {
+    level = option;
+  } else if (typeof option === 'function') {
+    sink = option;
+  } else if (option !== null && typeof option === 'object') {
+    level = option.level ?? level;
+    sink = option.sink ?? sink;
+  } else {
+    throw new Error(`the logger option must be a level, a sink function or an object`);
+  }
+
+  if (LOG_LEVELS.includes(level) === false) {
+    throw new Error(`'${level}' is not a valid log level; use one of ${LOG_LEVELS.join(', ')}`);
+  }
+  if (typeof sink !== 'function') {
+    throw new Error(`the sink for the logger must be a function`);
+  }
+
+  // Create a function that sends messages at the given level to the sink, but
+  // only if the logger is verbose enough to include that level.
+  const threshold = LOG_LEVELS.indexOf(level);
+  const emitter = messageLevel => message => {
+    if (LOG_LEVELS.indexOf(messageLevel) <= threshold) {
+      sink(messageLevel, message);
+    }
+  };
+
+  return {
+    level,
+    error: emitter('error'),
+    warn: emitter('warn'),
+    info: emitter('info'),
+    debug: emitter('debug'),
+  };
+}
+
+
+/* The logger that is used by the library functions when they are not given one
+ * explicitly; it logs to the console at the 'info' level. */
+export const defaultLogger = createLogger();
+
+
+/******************************************************************************/
@@ -0,0 +1,132 @@
+/******************************************************************************/
+
+
+/* The prefix given to the names of the tail workers that capture the console
+ * output of the workers under test. */
+const CAPTURE_PREFIX = 'cf-aegis-logs-';
+
+
+/******************************************************************************/
+
+
+/* Convert the arguments given to a console call in the worker into a single
+ * message, in the same way that the console would display them; strings are
+ * used as is, and anything else is converted to JSON. */
+function formatMessage(parts) {
+  return parts.map(part => typeof part === 'string' ? part : JSON.stringify(part)).join(' ');
+}
+
+
+/******************************************************************************/
+
+
+/* This helper arranges for the console output of the named workers to be
+ * captured rather than displayed, so that tests can make assertions about what
+ * was logged. The workers are Miniflare worker options as returned by
+ * createMiniflareOptions(), and names is the list of the names of the workers
+ * whose output should be captured.
+ *
+ * Each of the named workers is given a tail worker, which is handed the console
+ * output of every invocation of the worker once it completes, and relays it
+ * to a function binding which records it. Since this happens after the worker
+ * has responded, the output of a request may not be captured by the time that
+ * the response is received.
+ *
+ * The return value is an object with:
+ *   - entries: an array of the captured log entries, in order
+ *   - clear(): a function that empties the list of entries
+ *   - settle(): an async function that waits until no output has been captured
+ *               for the given number of milliseconds (default: 50), giving
+ *               the output of prior requests time to arrive
+ *
+ * Each entry is an object with the level ('log', 'info', 'debug', 'warn' or
+ * 'error'), the name of the worker, the timestamp (as a Date) and the message
+ * that was logged. */
+export function applyLogCapture(workers, names) {
+  // The time at which output was last captured, used to know when things have
+  // settled.
+  let lastCapture = 0;
+
+  const logs = {
+    entries: [],
+    clear() {
+      logs.entries.length = 0;
+    },
+    async settle(quiet = 50) {
+      const since = Date.now();
+      while (Date.now() - Math.max(since, lastCapture) < quiet) {
+        await new Promise(resolve => setTimeout(resolve, quiet));
+      }
+    }
+  };
+
+  // The tail worker relays only the log lines from the events it is given.
+  const captureScript = `
+    export default {
+      async tail(events, env) {
+        await env.CAPTURE.fetch('http://capture/', {
+          method: 'POST',
+          body: JSON.stringify(events.flatMap(event => event.logs))
+        });
+      }
+    }
+  `;
+
+  for (const name of names) {
+    const worker = workers.find(worker => worker.name === name);
+    if (worker === undefined) {
+      continue;
+    }
+
+    const captureWorker = {
+      name: `${CAPTURE_PREFIX}${name}`,
+      modules: true,
+      script: captureScript,
+      serviceBindings: {
+        CAPTURE: async request => {
+          lastCapture = Date.now();
+          for (const { level, timestamp, message } of await request.json()) {
+            logs.entries.push({
+              level,
+              worker: name,
+              timestamp: new Date(timestamp),
+              message: formatMessage(message)
+            });
+          }
+          return new Response(null, { status: 204 });
+        }
+      }
+    };
+
+    // Mirror the compatibility date of the worker, to keep things consistent.
+    if (worker.compatibilityDate !== undefined) {
+      captureWorker.compatibilityDate = worker.compatibilityDate;
+    }
+
+    worker.tails = [...(worker.tails ?? []), captureWorker.name];
+    workers.push(captureWorker);
+  }
+
+  return logs;
+}
+
+
+/* Return the captured log entries (either the object returned by
+ * applyLogCapture() or an array of its entries) whose message matches the
+ * given text or RegExp. Text matches if it appears anywhere in the message.
+ *
+ * The filter can optionally restrict the entries to those with a specific
+ * level and/or from a specific worker. */
+export function findLogEntries(logs, match, { level, worker } = {}) {
+  const entries = Array.isArray(logs) === true ? logs : logs.entries;
+  const matches = match instanceof RegExp
+    ? message => match.test(message)
+    : message => message.includes(match);
+
+  return entries.filter(entry => (level === undefined || entry.level === level) &&
+                                 (worker === undefined || entry.worker === worker) &&
+                                 matches(entry.message) === true);
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,230 @@
+/******************************************************************************/
+
+
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { defaultLogger } from './logger.js';
+
+
+/******************************************************************************/
+
+
+/* The defaults that Wrangler uses for D1 migrations when the database entry in
+ * the configuration does not specify them explicitly. */
+const DEFAULT_MIGRATIONS_DIR = 'migrations';
+const DEFAULT_MIGRATIONS_TABLE = 'd1_migrations';
+
+
+/******************************************************************************/
+
+
+/* Given the text of an SQL file, split it into the individual statements that
+ * it contains, returning them back as an array of strings.
+ *
+ * D1 requires statements to be prepared one at a time, and the exec() method
+ * naively splits on newlines, so migrations that contain multi-line statements
+ * need to be split up first.
+ *
+ * Statements are delimited by semicolons, except where that semicolon appears
+ * inside of a quoted string or identifier, a comment, or inside the body of a
+ * CREATE TRIGGER statement (which ends at the END keyword that matches its
+ * BEGIN instead, taking into account the END of any CASE expressions within
+ * it). Comments are removed from the output, and empty statements are
+ * discarded. */
+export function splitSqlStatements(sql) {
+  const statements = [];
+  let current = '';
+
+  // The number of BEGIN and CASE blocks that are open in the statement so
+  // far; in a trigger definition, semicolons inside of such a block do not
+  // end the statement.
+  let depth = 0;
+  const isOpenTrigger = () => depth > 0 &&
+    /^CREATE\s+(TEMP\s+|TEMPORARY\s+)?TRIGGER\b/i.test(current.trim()) === true;
+
+  let i = 0;
+  while (i < sql.length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    // Line comments run until the end of the line; drop them entirely.
+    if (ch === '-' && next === '-') {
+      const end = sql.indexOf('\n', i);
+      i = (end === -1) ? sql.length : end;
+      continue;
+    }
+
+    // Block comments run until their terminator; also dropped.
+    if (ch === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = (end === -1) ? sql.length : end + 2;
+      continue;
+    }
+
+    // Quoted strings and identifiers are copied through verbatim; a doubled
+    // quote character is an escaped quote and does not end the quote.
+    if (ch === "'" || ch === '"' || ch === '`') {
+      let end = i + 1;
+      while (end < sql.length) {
+        if (sql[end] === ch) {
+          if (sql[end + 1] === ch) {
+            end += 2;
+            continue;
+          }
+          break;
+        }
+        end++;
+      }
+
+      current += sql.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+
+    // Words are copied through whole, keeping track of the blocks that they
+    // open and close.
+    if (/[A-Za-z_]/.test(ch) === true) {
+      let end = i + 1;
+      while (end < sql.length && /[A-Za-z0-9_$]/.test(sql[end]) === true) {
+        end++;
+      }
+
+      const word = sql.slice(i, end).toUpperCase();
+      if (word === 'BEGIN' || word === 'CASE') {
+        depth++;
+      } else if (word === 'END' && depth > 0) {
+        depth--;
+      }
+
+      current += sql.slice(i, end);
+      i = end;
+      continue;
+    }
+
+    // A semicolon ends the current statement, unless we're in a trigger body.
+    if (ch === ';' && isOpenTrigger() === false) {
+      if (current.trim() !== '') {
+        statements.push(current.trim());
+      }
+      current = '';
+      depth = 0;
+      i++;
+      continue;
+    }
+
+    current += ch;
+    i++;
+  }
+
+  // Anything left over is a final statement that had no trailing semicolon.
+  if (current.trim() !== '') {
+    statements.push(current.trim());
+  }
+
+  return statements;
+}
+
+
+/******************************************************************************/
+
+
+/* This function applies D1 migrations to all of the databases in the provided
+ * (resolved) Wrangler configuration, mimicking what would happen when running
+ * `wrangler d1 migrations apply` against a local database.
+ *
+ * For each entry in the d1_databases key, the migrations_dir key (defaulting to
+ * 'migrations', as in Wrangler) is used to find the .sql files to apply; these
+ * are applied in filename order. As each migration is applied it is recorded in
+ * the migrations_table (defaulting to 'd1_migrations'), and migrations that are
+ * already recorded there are skipped.
+ *
+ * The bindings argument is the object containing the bindings of the main
+ * worker, as returned by Miniflare, which is used to look up the databases.
+ *
+ * Migration directories are relative to the location of the loaded Wrangler
+ * configuration, if any, which is given by baseDir (defaulting to the current
+ * working directory); directories that are already absolute, as they are in a
+ * configuration resolved with a base directory, are used as is. The rootDir
+ * argument is the directory that log output should be made relative to.
+ *
+ * A database that uses the default migrations directory when that directory
+ * does not exist is silently skipped; an explicitly configured directory that
+ * does not exist generates a warning. Progress is reported to the logger.
+ *
+ * The return value is an object whose keys are the bindings of databases that
+ * had migrations applied, and whose values are arrays of the names of the
+ * migrations that were applied. */
+export async function applyD1Migrations(config, bindings, rootDir, logger = defaultLogger, baseDir = process.cwd()) {
+  const applied = {};
+
+  for (const database of config.d1_databases ?? []) {
+    const db = bindings[database.binding];
+    const migrationsDir = database.migrations_dir ?? DEFAULT_MIGRATIONS_DIR;
+    const migrationsTable = database.migrations_table ?? DEFAULT_MIGRATIONS_TABLE;
+
+    // Create an absolute path to the migrations folder, and then a version of
+    // it that is relative to the root we were given, for use in reporting.
+    const absDirPath = path.resolve(baseDir, migrationsDir);
+    const relDirPath = path.relative(rootDir, absDirPath);
+
+    // If there is no folder, then there are no migrations to apply. We only
+    // complain about this if the folder was explicitly configured.
+    if (fs.existsSync(absDirPath) === false) {
+      if (database.migrations_dir !== undefined) {
+        logger.warn(`migrations_dir for '${database.binding}' does not exist: ${relDirPath}`);
+      }
+      continue;
+    }
+
+    // Collect the migrations in the order that they should be applied.
+    const migrations = fs.readdirSync(absDirPath)
+      .filter(file => path.extname(file) === '.sql')
+      .sort();
+
+    if (migrations.length === 0) {
+      continue;
+    }
+
+    // Make sure that the table that tracks the migrations exists, using the
+    // same schema that Wrangler does, and then find out what has already been
+    // applied so that we can skip it.
+    await db.prepare(`CREATE TABLE IF NOT EXISTS ${migrationsTable} (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP NOT NULL
+    )`).run();
+
+    const { results } = await db.prepare(`SELECT name FROM ${migrationsTable}`).all();
+    const alreadyApplied = new Set(results.map(row => row.name));
+
+    // Apply each migration that was not already applied; the statements in
+    // the migration and the record of it being applied are done as a single
+    // batch so that a failing migration leaves no partial results.
+    applied[database.binding] = [];
+    for (const migration of migrations) {
+      if (alreadyApplied.has(migration) === true) {
+        continue;
+      }
+
+      const content = fs.readFileSync(path.join(absDirPath, migration), 'utf8');
+      const statements = splitSqlStatements(content).map(stmt => db.prepare(stmt));
+      statements.push(db.prepare(`INSERT INTO ${migrationsTable} (name) VALUES (?)`).bind(migration));
+
+      try {
+        await db.batch(statements);
+      } catch (error) {
+        throw new Error(`migration '${migration}' for '${database.binding}' failed: ${error.message}`);
+      }
+
+      applied[database.binding].push(migration);
+    }
+
+    logger.info(`applied ${applied[database.binding].length} migration(s) to '${database.binding}' from ${relDirPath}`);
+  }
+
+  return applied;
+}
+
+
+/******************************************************************************/
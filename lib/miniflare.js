@@ -3,6 +3,8 @@
 
 import path from 'node:path';
 
+import { defaultLogger } from './logger.js';
+
 
 /******************************************************************************/
 
@@ -34,11 +36,22 @@ const arrayMappings = [
   { source: 'r2_buckets', target: 'r2Buckets' },
 ];
 
+/* The settings for a queue consumer in a Wrangler configuration, and the names
+ * of the keys that Miniflare expects for them. */
+const queueConsumerMappings = [
+  { source: 'max_batch_size', target: 'maxBatchSize' },
+  { source: 'max_batch_timeout', target: 'maxBatchTimeout' },
+  { source: 'max_retries', target: 'maxRetries' },
+  { source: 'dead_letter_queue', target: 'deadLetterQueue' },
+  { source: 'retry_delay', target: 'retryDelay' },
+];
+
 /* When converting from a Wrangler configuration to a Miniflare configuration,
  * these keys represent configuration options that are arrays of objects, but
  * unlike the above instead of being an array of names, they need to be given
  * to Miniflare as objects where the keys are names of things and the value
- * is the configured identifier.
+ * is the configured identifier (or, if there is a convert function, the result
+ * of passing the whole object to it).
  *
  * For example, the D1 databases would be an object where the keys are binding
  * names and the values are the database ID (used to construct the name of the
@@ -53,7 +66,11 @@ const objectMappings = [
   },
   {
     source: 'queues.consumers', target: 'queueConsumers',
-    key: 'queue', staticValue: {}
+    key: 'queue', convert: item => Object.fromEntries(
+      queueConsumerMappings
+        .filter(mapping => item[mapping.source] !== undefined)
+        .map(mapping => [mapping.target, item[mapping.source]])
+    )
   },
   {
     source: 'd1_databases', target: 'd1Databases',
@@ -78,8 +95,11 @@ const objectMappings = [
  * serve assets, and then if that fails it will forward the request to the
  * original main worker.
  *
+ * The scripts for the injected workers are given paths in the same folder as
+ * the script of the main worker, or in the base directory if it has none.
+ *
  * This will safely do nothing if the main worker has no assets key. */
-export function applyAssetRouterWorkaround(workers) {
+export function applyAssetRouterWorkaround(workers, baseDir = process.cwd()) {
   // The main worker is always the first one in the worker list; pull that out
   // here.
   const mainWorker = workers[0];
@@ -211,9 +231,9 @@ export function applyAssetRouterWorkaround(workers) {
   `;
 
   // Set up a script path for the script body we injected above; this starts as
-  // a root path, but if the main worker has a path, then we adjust to use that
-  // path instead, to keep things consistent.
-  let baseScriptPath = path.resolve(".");
+  // the base path, but if the main worker has a path, then we adjust to use
+  // that path instead, to keep things consistent.
+  let baseScriptPath = path.resolve(baseDir);
   if (mainWorker.scriptPath !== undefined && mainWorker.scriptPath !== null) {
     baseScriptPath = path.dirname(mainWorker.scriptPath);
   }
@@ -278,58 +298,38 @@ export function applyAssetRouterWorkaround(workers) {
 /******************************************************************************/
 
 
-/* This helper adapts an object structured as a Wrangler configuration file into
- * the structure that is required by the Miniflare constructor, which has a
- * similar but not fully identical layout. The structure of this object is
- * what you would see if you parsed a (valid) wrangler config fle.
- *
- * Wrangler configurations can contain service bindings to other workers, but
- * such workers are leveraged by the worker being defined in the configuration
- * and so for the purposes of unit testing they may need to exist so that they
- * can be accessed, but they need not be complete.
- *
- * The workerMocks allows for mapping in mock workers that associate with such
- * bindings to facilitate testing. If the incoming configuration lists a binding
- * to another worker but there is no mock for it, a stub mock will be inserted
- * in its place. In this object, the keys are the names of the services while
- * the object has a "script" or "scriptPath" argument to declare the script or
- * the file that contains the script, respetively.
+/* Convert the parts of a resolved Wrangler configuration that describe a single
+ * worker (its script, variables and bindings) into the options for a worker of
+ * the given name in the Miniflare constructor. The script of the worker is
+ * found relative to the given base directory, if there is one.
  *
- * Note that that wrangler configuration can contain more configuration keys
- * than those that are handled here; keys not mentioned are silently ignored. */
-export function createMiniflareOptions(config, workerMocks) {
-  // The configuration options for the main worker. If the config does not
-  // contain any other service bindings, this will be the only worker.
-  const mainWorker = {
-    name: "main",
+ * Service bindings are not handled here, since what they are bound to depends
+ * on the other workers; see createMiniflareOptions(). */
+function createWorkerOptions(config, name, baseDir) {
+  const worker = {
+    name,
     modules: true,
     bindings: {},
   };
 
-  // The list of defined workers. The code always uses an array of workers even
-  // if there is only ever one, for simplicity, since the way top level bindings
-  // are handled is different depending on whether or there are multiple
-  // workers and that's a headache we don't need.
-  const workers = [mainWorker];
-
   // Defined environment variables are a simple mapping directly into the list
   // of bindings in the object.
   if (config.vars !== undefined) {
-    mainWorker.bindings = { ...config.vars };
+    worker.bindings = { ...config.vars };
   }
 
   // If static assets are defined, they go directly into the worker config with
   // identical keys.
   if (config.assets !== undefined) {
     const { binding, directory } = config.assets;
-    mainWorker.assets = { binding, directory };
+    worker.assets = { binding, directory };
   }
 
   // If secrets are defined, map them into the output configuration. We strictly
   // only carry over the 'required' key and only if it is an array, as per the
   // Wrangler specification.
   if (config.secrets !== undefined && Array.isArray(config.secrets.required) === true) {
-    mainWorker.secrets = {
+    worker.secrets = {
       required: config.secrets.required
     };
   }
@@ -338,14 +338,25 @@ export function createMiniflareOptions(config, workerMocks) {
   // should they exist.
   for (const mapping of keyMappings) {
     if (config[mapping.source] !== undefined) {
-      mainWorker[mapping.target] = config[mapping.source];
+      worker[mapping.target] = config[mapping.source];
     }
   }
 
+  // When there is a base directory, the script is relative to it (if it is not
+  // already absolute); otherwise it is relative to the current working
+  // directory. Miniflare names modules relative to a root that they must all
+  // be within, which defaults to the current working directory; since the
+  // script can import modules from anywhere, root them at the top of the file
+  // system instead.
+  if (baseDir !== undefined && worker.scriptPath !== undefined) {
+    worker.scriptPath = path.resolve(baseDir, worker.scriptPath);
+    worker.modulesRoot = path.parse(worker.scriptPath).root;
+  }
+
   // Now handle all of the mappings that just need to be arrays of names.
   for (const mapping of arrayMappings) {
     if (config[mapping.source]) {
-      mainWorker[mapping.target] = config[mapping.source].map(item => item.binding);
+      worker[mapping.target] = config[mapping.source].map(item => item.binding);
     }
   }
 
@@ -360,52 +371,158 @@ export function createMiniflareOptions(config, workerMocks) {
     const sourceArray = getSourceArray(config, mapping.source);
 
     if (sourceArray) {
-      mainWorker[mapping.target] = Object.fromEntries(
-        sourceArray.map(item => [item[mapping.key], mapping.staticValue ?? item[mapping.value]])
+      worker[mapping.target] = Object.fromEntries(
+        sourceArray.map(item => [
+          item[mapping.key],
+          mapping.convert !== undefined ? mapping.convert(item) : item[mapping.value]
+        ])
       );
     }
   }
 
-  // Services is a special case; for every service that is defined (if any) we
-  // need to create a new worker item and add it to the workers array, but also
-  // the list of
-  if (config.services !== undefined) {
-    // As with above, all services need to be added to the main worker's
-    // service bindings as an object in which the keys are the name of the
-    // binding and the value is the name of the worker it's bound to.
-    mainWorker.serviceBindings = Object.fromEntries(
-      config.services.map(service => [service.binding, service.service])
-    );
-
-    // Create a new version of the list of services that are defined, turning
-    // the basic information in the configuration into the minimal amount of
-    // config that is needed to define a worker in Miniflare.
+  return worker;
+}
+
+
+/******************************************************************************/
+
+
+/* This helper adapts an object structured as a Wrangler configuration file into
+ * the structure that is required by the Miniflare constructor, which has a
+ * similar but not fully identical layout. The structure of this object is
+ * what you would see if you parsed a (valid) wrangler config fle.
+ *
+ * Wrangler configurations can contain service bindings to other workers, but
+ * such workers are leveraged by the worker being defined in the configuration
+ * and so for the purposes of unit testing they may need to exist so that they
+ * can be accessed, but they need not be complete.
+ *
+ * The workerMocks allows for mapping in mock workers that associate with such
+ * bindings to facilitate testing. If the incoming configuration lists a binding
+ * to another worker but there is no mock for it, a stub mock will be inserted
+ * in its place. In this object, the keys are the names of the services while
+ * the object has a "script" or "scriptPath" argument to declare the script or
+ * the file that contains the script, respetively.
+ *
+ * Alternately, a mock can have a "fetch" key that is a function which takes a
+ * Request and returns a Response (or a promise of one); such mocks run in Node
+ * rather than in the worker runtime, and so can use anything in the test.
+ *
+ * Services can also be real workers, when the project is made up of several of
+ * them. The project is an object with the keys:
+ *   - baseDir: the folder that the paths in the configuration of the main
+ *              worker are relative to (default: undefined, in which case they
+ *              are relative to the current working directory)
+ *   - name: the name of the main worker in its configuration, if any
+ *   - peers: a list of objects with the name, base directory (as dir) and
+ *            resolved configuration of each of the other workers, which are
+ *            created alongside the main worker
+ *
+ * A service binding (in any of the workers) whose service is the name of one of
+ * the workers is bound to that worker rather than to a mock; the main worker is
+ * always named "main" in Miniflare, but can be bound to by its configured name.
+ *
+ * Note that that wrangler configuration can contain more configuration keys
+ * than those that are handled here; keys not mentioned are silently ignored.
+ *
+ * How each service is mocked is reported to the logger. */
+export function createMiniflareOptions(config, workerMocks, logger = defaultLogger, project = {}) {
+  const { baseDir, name, peers = [] } = project;
+
+  // The configuration options for the main worker. If the config does not
+  // contain any other service bindings, this will be the only worker.
+  const mainWorker = createWorkerOptions(config, "main", baseDir);
+
+  // The list of defined workers. The code always uses an array of workers even
+  // if there is only ever one, for simplicity, since the way top level bindings
+  // are handled is different depending on whether or there are multiple
+  // workers and that's a headache we don't need.
+  const workers = [mainWorker];
+
+  // Every other real worker comes next, named as in its configuration; this
+  // maps the configured names of all of the real workers to their names in
+  // Miniflare, so that services can be bound to them.
+  const realWorkers = new Map();
+  if (name !== undefined) {
+    realWorkers.set(name, mainWorker.name);
+  }
+  for (const peer of peers) {
+    workers.push(createWorkerOptions(peer.config, peer.name, peer.dir));
+    realWorkers.set(peer.name, peer.name);
+  }
+
+  // All services need to be added to the service bindings of the worker that
+  // uses them, as an object in which the keys are the name of the binding and
+  // the value is the name of the worker it's bound to.
+  const configs = [config, ...peers.map(peer => peer.config)];
+  configs.forEach((workerConfig, index) => {
+    if (workerConfig.services !== undefined) {
+      workers[index].serviceBindings = Object.fromEntries(
+        workerConfig.services.map(service => [service.binding, realWorkers.get(service.service) ?? service.service])
+      );
+    }
+  });
+
+  // The services that are not real workers need to be mocked; each only needs
+  // a single mock, no matter how many bindings refer to it.
+  const mockedServices = [...new Set(
+    configs.flatMap(workerConfig => workerConfig.services ?? [])
+      .map(service => service.service)
+      .filter(service => realWorkers.has(service) === false)
+  )];
+
+  // Services that are mocked are a special case; for every such service we
+  // need to create a new worker item and add it to the workers array.
+  if (mockedServices.length > 0) {
+    // Turn the name of each mocked service into the minimal amount of config
+    // that is needed to define a worker in Miniflare.
     //
     // This utilizes information from the mock workers to set up the endpoints.
-    const mockWorkers = config.services.map(service => {
-      // Alias the name of the service, for sanity.
-      const serviceName = service.service;
-
+    const mockWorkers = mockedServices.map(serviceName => {
       // If there is an entry in the workerMocks array for a service of this
       // name, then we can use the information from it to directly inject into
       // the output.
       if (workerMocks[serviceName] !== undefined) {
-        console.log(`[cf-aegis] mocking service '${serviceName}' with provided script.`);
-        return { name: serviceName, modules: true, ...workerMocks[serviceName] };
+        const mock = workerMocks[serviceName];
+
+        // A mock with a fetch function is implemented in Node; the worker for
+        // it hands every request off to a function binding that invokes it.
+        // The function is looked up on each request, so that tests can swap
+        // it out as they go.
+        if (typeof mock.fetch === 'function') {
+          logger.info(`mocking service '${serviceName}' with provided function.`);
+          return {
+            name: serviceName,
+            modules: true,
+            script: `
+              export default {
+                fetch(request, env) {
+                  return env.HANDLER.fetch(request);
+                }
+              }
+            `,
+            serviceBindings: {
+              HANDLER: request => mock.fetch(request)
+            }
+          };
+        }
+
+        logger.info(`mocking service '${serviceName}' with provided script.`);
+        return { name: serviceName, modules: true, ...mock };
       }
 
       // If we fall through, there was no definition for this service in the
       // list of mocked services. In this case, we inject a static script so
       // that the service at least functions, but it will return a response that
-      // indicates that it's not mocked.
-      console.log(`[cf-aegis] warning: no mock provided for service '${serviceName}'; applying default mock`);
+      // indicates that it's not mocked. The requests that it gets are recorded
+      // in the mocks of the harness like those for any other service.
+      logger.warn(`no mock provided for service '${serviceName}'; applying default mock`);
       return {
         name: serviceName,
         modules: true,
         script: `
           export default {
             fetch(request) {
-              console.log(\`[cf-aegis] mock for service '${serviceName}' received a request for: \${request.url}\`);
               return new Response('Service not implemented in test environment', { status: 404 });
             }
           }
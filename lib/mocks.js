@@ -0,0 +1,103 @@
+/******************************************************************************/
+
+
+/* The prefix given to the names of the workers that record the requests that
+ * are made to mocked services. */
+const RECORDER_PREFIX = 'cf-aegis-recorder-';
+
+
+/******************************************************************************/
+
+
+/* This helper arranges for every request made by any of the workers to one of
+ * the mocked services to be recorded, so that tests can make assertions about
+ * how the workers called them. The workers are Miniflare worker options as
+ * returned by createMiniflareOptions(), and services is the list of the names
+ * of the services that are mocked.
+ *
+ * For each service, a recorder worker is placed between the workers and the
+ * mock for the service; it records the method, URL, headers and body of each
+ * request and then passes it on to the mock untouched.
+ *
+ * The return value is an object whose keys are the names of the services and
+ * whose values are objects with:
+ *   - calls: an array of the requests made to the service, in order
+ *   - clear(): a function that empties the list of calls
+ *
+ * Each call is an object with the method, url, headers and body (as text, or
+ * null if there was no body) of the request. */
+export function applyMockRecorders(workers, services) {
+  // The main worker is always the first one in the worker list; pull that out
+  // here. The workers that call the services are the ones that are there
+  // before any recorders are added.
+  const mainWorker = workers[0];
+  const callers = [...workers];
+  const mocks = {};
+
+  // The recorder relays the details of each request to a function binding
+  // which records it, and then forwards the request on to the mock.
+  const recorderScript = `
+    export default {
+      async fetch(request, env) {
+        const copy = request.clone();
+        await env.RECORD.fetch('http://record/', {
+          method: 'POST',
+          body: JSON.stringify({
+            method: copy.method,
+            url: copy.url,
+            headers: Object.fromEntries(copy.headers),
+            body: copy.body !== null ? await copy.text() : null
+          })
+        });
+
+        return env.MOCK.fetch(request);
+      }
+    }
+  `;
+
+  for (const service of services) {
+    const mock = {
+      calls: [],
+      clear() {
+        mock.calls.length = 0;
+      }
+    };
+    mocks[service] = mock;
+
+    const recorderWorker = {
+      name: `${RECORDER_PREFIX}${service}`,
+      modules: true,
+      script: recorderScript,
+      serviceBindings: {
+        MOCK: service,
+        RECORD: async request => {
+          mock.calls.push(await request.json());
+          return new Response(null, { status: 204 });
+        }
+      }
+    };
+
+    // Mirror the compatibility date of the main worker, to keep things
+    // consistent.
+    if (mainWorker.compatibilityDate !== undefined) {
+      recorderWorker.compatibilityDate = mainWorker.compatibilityDate;
+    }
+
+    workers.push(recorderWorker);
+  }
+
+  // Point every binding in any of the workers that refers to a mocked service
+  // at the recorder for that service instead.
+  for (const worker of callers) {
+    for (const [binding, target] of Object.entries(worker.serviceBindings ?? {})) {
+      if (typeof target === 'string' && mocks[target] !== undefined) {
+        worker.serviceBindings[binding] = `${RECORDER_PREFIX}${target}`;
+      }
+    }
+  }
+
+  return mocks;
+}
+
+
+/******************************************************************************/
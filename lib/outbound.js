@@ -0,0 +1,132 @@
+/******************************************************************************/
+
+
+import { defaultLogger } from './logger.js';
+import { globToRegExp } from './glob.js';
+
+
+/******************************************************************************/
+
+
+/* Return a function that tests whether a URL matches the given route pattern.
+ * A pattern that is a RegExp is tested against the full URL; a string pattern
+ * must match the full URL exactly, except that any '*' characters in it match
+ * any run of characters. */
+function createUrlMatcher(pattern) {
+  if (pattern instanceof RegExp) {
+    return url => pattern.test(url);
+  }
+
+  if (typeof pattern !== 'string') {
+    throw new Error(`outbound route URL '${pattern}' must be a string or a RegExp`);
+  }
+
+  const regex = globToRegExp(pattern);
+  return url => regex.test(url);
+}
+
+
+/* Given the response from an outbound route and the request that matched it,
+ * return the Response that should be given back to the worker.
+ *
+ * A route response can be a function that is called with the request and
+ * returns a Response (or an object, as below), or an object with optional
+ * status, headers and body keys; a body that is not a string is sent as
+ * JSON. */
+async function createRouteResponse(response, request) {
+  if (typeof response === 'function') {
+    response = await response(request);
+  }
+
+  if (response instanceof Response) {
+    return response;
+  }
+
+  const { status = 200, headers = {}, body = null } = response ?? {};
+  const responseHeaders = new Headers(headers);
+  let responseBody = body;
+  if (body !== null && typeof body !== 'string') {
+    responseBody = JSON.stringify(body);
+    if (responseHeaders.has('content-type') === false) {
+      responseHeaders.set('content-type', 'application/json');
+    }
+  }
+
+  return new Response(responseBody, { status, headers: responseHeaders });
+}
+
+
+/******************************************************************************/
+
+
+/* This helper creates the function that intercepts all of the outbound fetch()
+ * requests made by the main worker, given the outbound option that was passed
+ * to aegisSetup().
+ *
+ * The option is either a function that takes a Request and returns a Response
+ * (or a promise of one), or an array of routes, each of which is an object
+ * with the keys:
+ *   - method: the HTTP method to match; if missing, any method matches
+ *   - url: a string (where '*' matches anything) or RegExp the URL must match
+ *   - response: the response to give back; see createRouteResponse()
+ *
+ * Routes are checked in order and the first match wins. A request that does
+ * not match any route is reported to the logger and throws an error, which the
+ * worker sees as a 500 response, so that unexpected requests are not silently
+ * allowed.
+ *
+ * The return value is an object with:
+ *   - service: the function to use as the outbound service of the worker
+ *   - record: an object with a calls array recording the requests that were
+ *             intercepted, in order, and a clear() function that empties it
+ *
+ * Each call is an object with the method, url, headers and body (as text, or
+ * null if there was no body) of the request. */
+export function createOutboundService(outbound, logger = defaultLogger) {
+  let handler = outbound;
+
+  if (Array.isArray(outbound) === true) {
+    const routes = outbound.map(route => ({
+      method: route.method?.toUpperCase(),
+      matches: createUrlMatcher(route.url),
+      response: route.response
+    }));
+
+    handler = async (request) => {
+      const route = routes.find(route => (route.method === undefined || route.method === request.method) &&
+                                         route.matches(request.url) === true);
+      if (route === undefined) {
+        const message = `no outbound route matches ${request.method} ${request.url}`;
+        logger.error(message);
+        throw new Error(message);
+      }
+
+      return createRouteResponse(route.response, request);
+    };
+  } else if (typeof outbound !== 'function') {
+    throw new Error(`the outbound option must be a function or an array of routes`);
+  }
+
+  const record = {
+    calls: [],
+    clear() {
+      record.calls.length = 0;
+    }
+  };
+
+  const service = async (request) => {
+    record.calls.push({
+      method: request.method,
+      url: request.url,
+      headers: Object.fromEntries(request.headers),
+      body: request.body !== null ? await request.clone().text() : null
+    });
+
+    return handler(request);
+  };
+
+  return { service, record };
+}
+
+
+/******************************************************************************/
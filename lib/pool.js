@@ -0,0 +1,198 @@
+/******************************************************************************/
+
+
+import { createHash } from 'node:crypto';
+import { AsyncLocalStorage, createHook } from 'node:async_hooks';
+
+
+/******************************************************************************/
+
+
+/* The pooled workers, keyed by the hash of everything that went into creating
+ * them. Each entry is an object with the handle of the worker, the function
+ * that really disposes of it, the function that prepares it for reuse, the
+ * handles that the worker has created (see createTrackedWorker()), and a flag
+ * that indicates if a setup is currently using it. */
+const pool = new Map();
+
+/* While a worker that may be pooled is being created or reconfigured, this
+ * holds the map that its handles are recorded into. */
+const handleOwner = new AsyncLocalStorage();
+
+/* The map that each recorded handle is in, keyed by its async ID, so that it
+ * can be removed from there once it is gone. */
+const handleMaps = new Map();
+
+/* The hook that records the handles, which is only installed once a worker
+ * that may be pooled is created. */
+let handleHook;
+
+
+/******************************************************************************/
+
+
+/* Install the hook that records every handle that can keep the process alive
+ * (sockets, servers, child processes, timers and so on) into the map of the
+ * worker that created it, if any, for as long as the handle exists. */
+function installHandleHook() {
+  handleHook = createHook({
+    init(asyncId, type, triggerAsyncId, resource) {
+      const handles = handleOwner.getStore();
+      if (handles !== undefined && typeof resource.hasRef === 'function' && typeof resource.unref === 'function') {
+        handles.set(asyncId, resource);
+        handleMaps.set(asyncId, handles);
+      }
+    },
+    destroy(asyncId) {
+      handleMaps.get(asyncId)?.delete(asyncId);
+      handleMaps.delete(asyncId);
+    }
+  }).enable();
+}
+
+
+/* Have the handles of the given pool entry that were stopped from keeping the
+ * process alive while it was idle keep it alive again. */
+function refHandles(entry) {
+  for (const handle of entry.unrefHandles) {
+    handle.ref();
+  }
+  entry.unrefHandles = [];
+}
+
+
+/******************************************************************************/
+
+
+/* Given an object that contains everything that goes into creating a worker
+ * (the resolved configurations, variables and options), return a hash that
+ * identifies it. RegExps are compared by their pattern and flags, since they
+ * have no other representation in JSON.
+ *
+ * If there are any functions (such as mock handlers) in the object, undefined
+ * is returned instead, since such a worker cannot be pooled; two closures with
+ * the same source can capture different values, and the pooled worker would
+ * keep calling the one that it was created with. */
+export function createPoolKey(value) {
+  let hasFunction = false;
+  const json = JSON.stringify(value, (key, item) => {
+    if (typeof item === 'function') {
+      hasFunction = true;
+    }
+    if (item instanceof RegExp) {
+      return `regexp:${item.toString()}`;
+    }
+    return item;
+  });
+
+  if (hasFunction === true) {
+    return undefined;
+  }
+
+  return createHash('sha256').update(json).digest('hex');
+}
+
+
+/* Create a Miniflare instance by calling the given function, recording every
+ * handle that it creates. Its methods are wrapped so that the handles that
+ * they create later on are recorded too, such as those of the runtimes that
+ * setOptions() starts, or of the thread that getBindings() starts to serve the
+ * bindings.
+ *
+ * The return value is an object with the worker and the map of its handles;
+ * the handles are what allow a pooled worker that is not in use to stop
+ * keeping the process alive (see createPoolRelease()). */
+export function createTrackedWorker(create) {
+  if (handleHook === undefined) {
+    installHandleHook();
+  }
+
+  const handles = new Map();
+  const worker = handleOwner.run(handles, create);
+
+  const prototype = Object.getPrototypeOf(worker);
+  for (const name of Object.getOwnPropertyNames(prototype)) {
+    const { value } = Object.getOwnPropertyDescriptor(prototype, name);
+    if (name !== 'constructor' && typeof value === 'function') {
+      worker[name] = (...args) => handleOwner.run(handles, () => value.apply(worker, args));
+    }
+  }
+
+  return { worker, handles };
+}
+
+
+/* Return the pool entry with the given key and mark it as in use, if there is
+ * one that is not already in use; otherwise, return undefined. The handles of
+ * the worker keep the process alive again while it is in use. */
+export function acquirePooledWorker(key) {
+  const entry = pool.get(key);
+  if (entry === undefined || entry.inUse === true) {
+    return undefined;
+  }
+
+  refHandles(entry);
+  entry.inUse = true;
+  return entry;
+}
+
+
+/* Add a newly created worker to the pool under the given key, marked as in
+ * use. The entry is an object with the handle, dispose and reuse functions of
+ * the worker, and the map of its handles from createTrackedWorker(). If there is already a worker with this key (because it was in
+ * use when this one was created), this one is not pooled and false is
+ * returned. */
+export function addPooledWorker(key, entry) {
+  if (pool.has(key) === true) {
+    return false;
+  }
+
+  pool.set(key, { ...entry, unrefHandles: [], inUse: true });
+  return true;
+}
+
+
+/* Return a function that marks the pooled worker with the given key as no
+ * longer being in use, so that a later setup can use it. Each use of a pooled
+ * worker gets its own function, which only releases it the first time that it
+ * is called, so that a stray second call cannot release a later use.
+ *
+ * While it waits to be used again, the handles of the worker no longer keep the
+ * process alive, so that a test run can end with workers still in the pool;
+ * Miniflare shuts down their runtimes when the process exits. */
+export function createPoolRelease(key) {
+  const entry = pool.get(key);
+  let released = false;
+
+  return async () => {
+    if (released === false && entry !== undefined) {
+      released = true;
+      entry.inUse = false;
+
+      // Only the handles that keep the process alive now are changed, so that
+      // those that the worker does not want to keep it alive stay that way.
+      entry.unrefHandles = [...entry.handles.values()].filter(handle => handle.hasRef() === true);
+      for (const handle of entry.unrefHandles) {
+        handle.unref();
+      }
+    }
+  };
+}
+
+
+/* Dispose of all of the pooled workers and empty the pool. Any handles to them
+ * that are still in use can no longer be used. The idle ones keep the process
+ * alive again first, so that it does not exit while they are being disposed
+ * of. */
+export async function disposeWorkerPool() {
+  const entries = [...pool.values()];
+  pool.clear();
+
+  for (const entry of entries) {
+    refHandles(entry);
+    await entry.dispose();
+  }
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,224 @@
+/******************************************************************************/
+
+
+/* The name of the worker that stands in for the queues when queue delivery is
+ * manual, and the compatibility date that it runs with. */
+const HARNESS_NAME = 'cf-aegis-queues';
+const HARNESS_COMPATIBILITY_DATE = '2025-09-27';
+
+/* The defaults that Cloudflare uses for queue consumers when the configuration
+ * does not specify them explicitly. */
+const DEFAULT_BATCH_SIZE = 10;
+const DEFAULT_RETRIES = 3;
+
+
+/******************************************************************************/
+
+
+/* This helper sets up manual queue delivery for the main worker in the list of
+ * workers provided, which must be Miniflare worker options as returned by
+ * createMiniflareOptions().
+ *
+ * Normally Miniflare delivers messages that are sent to a queue on its own,
+ * once a batch is full or its timeout expires. In manual mode, the queue
+ * producer bindings of the main worker are instead replaced with bindings to a
+ * harness worker that holds on to the messages until the tests ask for them
+ * to be delivered via the helpers returned by createQueueHelpers().
+ *
+ * This will safely do nothing if the main worker has no queue producers. */
+export function applyManualQueueDelivery(workers) {
+  // The main worker is always the first one in the worker list; pull that out
+  // here.
+  const mainWorker = workers[0];
+
+  // If there are no producers, then there's nothing to do. Otherwise, remove
+  // the queue configuration from the worker, since we're taking over.
+  const producers = mainWorker.queueProducers;
+  if (producers === undefined) {
+    return;
+  }
+  delete mainWorker.queueProducers;
+  delete mainWorker.queueConsumers;
+
+  // The harness holds the pending messages for every queue. The producer
+  // entrypoint has the same API as a queue binding, and knows from its props
+  // which queue it is for, while the default entrypoint allows the messages
+  // to be taken from and put back into the queues.
+  const harnessScript = `
+    import { WorkerEntrypoint } from 'cloudflare:workers';
+
+    // The pending messages, keyed by the name of the queue they are in.
+    const pending = new Map();
+
+    function getQueue(name) {
+      if (pending.has(name) === false) {
+        pending.set(name, []);
+      }
+      return pending.get(name);
+    }
+
+    export class QueueProducer extends WorkerEntrypoint {
+      async send(body, options) {
+        return this.sendBatch([{ body }], options);
+      }
+
+      async sendBatch(messages, options) {
+        getQueue(this.ctx.props.queue).push(...messages.map(message => ({
+          id: crypto.randomUUID(),
+          timestamp: new Date(),
+          body: message.body,
+          attempts: 1
+        })));
+      }
+    }
+
+    export default class extends WorkerEntrypoint {
+      async fetch(request) {
+        return new Response('Not Found', { status: 404 });
+      }
+
+      async peek(queue) {
+        return getQueue(queue);
+      }
+
+      async take(queue, count) {
+        return getQueue(queue).splice(0, count);
+      }
+
+      async enqueue(queue, messages) {
+        getQueue(queue).push(...messages);
+      }
+    }
+  `;
+
+  // Bind each of the producers to the harness.
+  if (mainWorker.serviceBindings === undefined) {
+    mainWorker.serviceBindings = {};
+  }
+  for (const [binding, queue] of Object.entries(producers)) {
+    mainWorker.serviceBindings[binding] = {
+      name: HARNESS_NAME,
+      entrypoint: 'QueueProducer',
+      props: { queue }
+    };
+  }
+
+  workers.push({
+    name: HARNESS_NAME,
+    modules: true,
+    compatibilityDate: HARNESS_COMPATIBILITY_DATE,
+    script: harnessScript
+  });
+}
+
+
+/******************************************************************************/
+
+
+/* Create and return the queue helpers for a context that has been set up by
+ * aegisSetup() with manual queue delivery; see applyManualQueueDelivery().
+ *
+ * The ctx argument is the context containing the worker, and the config is the
+ * resolved Wrangler configuration that contains the queue consumer settings.
+ *
+ * The returned object contains:
+ *   - pending(queue): return the messages that are waiting in the queue
+ *   - flush(queue): deliver all of the messages in the queue to the consumer
+ *
+ * A flush delivers messages in batches of max_batch_size, and retries those
+ * that the consumer retries (or that are in a batch whose handler throws)
+ * immediately, without regard to delays, until every message is either acked
+ * or has exhausted max_retries. Such messages are moved to the configured
+ * dead_letter_queue, if any, where they wait to be flushed in turn.
+ *
+ * The flush resolves to a report object with the keys:
+ *   - acked: the messages that were acknowledged
+ *   - retried: the messages that were retried at least once
+ *   - deadLettered: the messages that exhausted their retries
+ *   - batches: the number of batches that were delivered
+ *
+ * Each message is an object with the id, timestamp, body and attempts of the
+ * message; a message that was retried before being acked appears in both
+ * acked and retried. */
+export function createQueueHelpers(ctx, config) {
+  const consumers = config.queues?.consumers ?? [];
+
+  const getHarness = () => ctx.worker.getWorker(HARNESS_NAME);
+
+  const pending = async (queue) => (await getHarness()).peek(queue);
+
+  const flush = async (queue) => {
+    const consumer = consumers.find(item => item.queue === queue);
+    if (consumer === undefined) {
+      throw new Error(`cannot flush queue '${queue}'; it has no consumer`);
+    }
+
+    const batchSize = consumer.max_batch_size ?? DEFAULT_BATCH_SIZE;
+    const maxAttempts = (consumer.max_retries ?? DEFAULT_RETRIES) + 1;
+
+    const harness = await getHarness();
+    const mainWorker = await ctx.worker.getWorker('main');
+    const report = { acked: [], retried: [], deadLettered: [], batches: 0 };
+    const retried = new Set();
+
+    // Keep delivering batches until the queue is empty; retried messages go
+    // back onto the end of the queue, as do any that the consumer sends.
+    let batch = await harness.take(queue, batchSize);
+    while (batch.length > 0) {
+      report.batches++;
+
+      // A handler that throws retries the whole batch; otherwise the result
+      // tells us which messages were explicitly acked or retried.
+      let result;
+      try {
+        result = await mainWorker.queue(queue, batch);
+      } catch (error) {
+        result = { outcome: 'exception', retryBatch: { retry: false } };
+      }
+
+      const explicitAcks = new Set(result.explicitAcks ?? []);
+      const retryMessages = new Set((result.retryMessages ?? []).map(item => item.msgId));
+      const retryAll = result.outcome !== 'ok' || result.retryBatch?.retry === true;
+
+      const requeue = [];
+      const deadLetters = [];
+      for (const message of batch) {
+        const isRetry = explicitAcks.has(message.id) === false &&
+                        (retryAll === true || retryMessages.has(message.id) === true);
+
+        if (isRetry === false) {
+          report.acked.push(message);
+          continue;
+        }
+
+        if (retried.has(message.id) === false) {
+          retried.add(message.id);
+          report.retried.push(message);
+        }
+
+        if (message.attempts < maxAttempts) {
+          requeue.push({ ...message, attempts: message.attempts + 1 });
+        } else {
+          report.deadLettered.push(message);
+          deadLetters.push({ ...message, attempts: 1 });
+        }
+      }
+
+      if (requeue.length > 0) {
+        await harness.enqueue(queue, requeue);
+      }
+      if (deadLetters.length > 0 && consumer.dead_letter_queue !== undefined) {
+        await harness.enqueue(consumer.dead_letter_queue, deadLetters);
+      }
+
+      batch = await harness.take(queue, batchSize);
+    }
+
+    return report;
+  };
+
+  return { pending, flush };
+}
+
+
+/******************************************************************************/
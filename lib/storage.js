@@ -0,0 +1,292 @@
+/******************************************************************************/
+
+
+import path from 'node:path';
+import fs from 'node:fs';
+
+import { createInsertStatements } from './fixtures.js';
+import { defaultLogger } from './logger.js';
+
+
+/******************************************************************************/
+
+
+/* Objects in a D1 database whose names start with these prefixes are internal
+ * to SQLite or to D1 itself, and are never captured or dropped. */
+const D1_INTERNAL_PREFIXES = ['sqlite_', '_cf_'];
+
+/* KV will not accept an expiration that is less than this many seconds in the
+ * future; when restoring a key that would expire sooner than this, it is
+ * restored to expire this many seconds from now instead. */
+const KV_MIN_EXPIRATION_TTL = 60;
+
+/* Each restore of Durable Object storage needs a fresh location; this counts
+ * them across all of the helpers, since a worker that is reloaded gets new
+ * helpers but keeps the locations that its earlier ones used. */
+let restoreCount = 0;
+
+
+/******************************************************************************/
+
+
+/* Capture the full contents of the given KV namespace, returning an array of
+ * the entries within it. */
+async function snapshotKV(kv) {
+  const entries = [];
+
+  let cursor = undefined;
+  do {
+    const result = await kv.list({ cursor });
+    for (const key of result.keys) {
+      const { value, metadata } = await kv.getWithMetadata(key.name, 'arrayBuffer');
+      entries.push({ name: key.name, value, metadata, expiration: key.expiration });
+    }
+    cursor = result.list_complete === true ? undefined : result.cursor;
+  } while (cursor !== undefined);
+
+  return entries;
+}
+
+
+/* Replace the full contents of the given KV namespace with the entries from a
+ * snapshot previously captured by snapshotKV(). Keys whose expiration has
+ * passed since the snapshot was captured are not restored. */
+async function restoreKV(kv, entries, logger) {
+  // Remove everything that is currently present.
+  for (const entry of await snapshotKV(kv)) {
+    await kv.delete(entry.name);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  for (const { name, value, metadata, expiration } of entries) {
+    const options = { metadata };
+    if (expiration !== undefined) {
+      if (expiration <= now) {
+        logger.debug(`not restoring KV key '${name}', since it has expired`);
+        continue;
+      }
+
+      if (expiration < now + KV_MIN_EXPIRATION_TTL) {
+        logger.debug(`restoring KV key '${name}' to expire in ${KV_MIN_EXPIRATION_TTL} seconds instead of ${expiration - now}`);
+        options.expirationTtl = KV_MIN_EXPIRATION_TTL;
+      } else {
+        options.expiration = expiration;
+      }
+    }
+    await kv.put(name, value, options);
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Capture the full contents of the given R2 bucket, returning an array of the
+ * objects within it. */
+async function snapshotR2(bucket) {
+  const objects = [];
+
+  let cursor = undefined;
+  do {
+    const result = await bucket.list({ cursor, include: ['httpMetadata', 'customMetadata'] });
+    for (const object of result.objects) {
+      const body = await bucket.get(object.key);
+      objects.push({
+        key: object.key,
+        value: await body.arrayBuffer(),
+        httpMetadata: object.httpMetadata,
+        customMetadata: object.customMetadata
+      });
+    }
+    cursor = result.truncated === true ? result.cursor : undefined;
+  } while (cursor !== undefined);
+
+  return objects;
+}
+
+
+/* Replace the full contents of the given R2 bucket with the objects from a
+ * snapshot previously captured by snapshotR2(). */
+async function restoreR2(bucket, objects) {
+  // Remove everything that is currently present.
+  for (const object of await snapshotR2(bucket)) {
+    await bucket.delete(object.key);
+  }
+
+  for (const { key, value, httpMetadata, customMetadata } of objects) {
+    await bucket.put(key, value, { httpMetadata, customMetadata });
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Gather the list of objects (tables, indexes, triggers and views) that exist
+ * in the given D1 database, in the order in which they were created, skipping
+ * any that are internal. */
+async function getD1Schema(db) {
+  const { results } = await db.prepare(
+    `SELECT type, name, sql FROM sqlite_master WHERE sql IS NOT NULL ORDER BY rowid`
+  ).all();
+
+  return results.filter(row => D1_INTERNAL_PREFIXES.some(prefix => row.name.startsWith(prefix)) === false);
+}
+
+
+/* Capture the full contents of the given D1 database, returning an object that
+ * contains the schema and the rows of every table. */
+async function snapshotD1(db) {
+  const schema = await getD1Schema(db);
+  const rows = {};
+
+  for (const { type, name } of schema) {
+    if (type === 'table') {
+      const { results } = await db.prepare(`SELECT * FROM "${name}"`).all();
+      rows[name] = results;
+    }
+  }
+
+  return { schema, rows };
+}
+
+
+/* Replace the full contents of the given D1 database with the schema and rows
+ * from a snapshot previously captured by snapshotD1(). */
+async function restoreD1(db, { schema, rows }) {
+  // Drop everything that currently exists; dropping a table also drops the
+  // indexes and triggers associated with it. Foreign keys are deferred so that
+  // the order in which tables are dropped does not matter.
+  const drops = (await getD1Schema(db))
+    .filter(({ type }) => type === 'table' || type === 'view')
+    .map(({ type, name }) => db.prepare(`DROP ${type.toUpperCase()} IF EXISTS "${name}"`));
+
+  // Recreate the tables, then put back their rows, and only then create the
+  // remaining objects, so that triggers don't fire as the rows are inserted.
+  const tables = schema.filter(({ type }) => type === 'table').map(({ sql }) => db.prepare(sql));
+  const others = schema.filter(({ type }) => type !== 'table').map(({ sql }) => db.prepare(sql));
+  const inserts = Object.entries(rows).flatMap(
+    ([table, tableRows]) => createInsertStatements(db, table, tableRows)
+  );
+
+  await db.batch([
+    db.prepare(`PRAGMA defer_foreign_keys = true`),
+    ...drops,
+    ...tables,
+    ...inserts,
+    ...others
+  ]);
+}
+
+
+/******************************************************************************/
+
+
+/* Capture the contents of the Durable Object storage at the given path, which
+ * is where Miniflare persists it. The result is a map of file paths (relative
+ * to the storage path) to their contents. */
+function snapshotDurableObjects(storagePath) {
+  const files = new Map();
+  if (fs.existsSync(storagePath) === false) {
+    return files;
+  }
+
+  for (const file of fs.readdirSync(storagePath, { recursive: true })) {
+    const filePath = path.join(storagePath, file);
+    if (fs.statSync(filePath).isFile() === true) {
+      files.set(file, fs.readFileSync(filePath));
+    }
+  }
+
+  return files;
+}
+
+
+/******************************************************************************/
+
+
+/* Create and return the storage helpers for a context that has been set up by
+ * aegisSetup(); these allow the contents of all of the KV, R2, D1 and Durable
+ * Object bindings of the main worker to be captured and restored so that each
+ * test can start from a known state.
+ *
+ * The ctx argument is the context containing the worker and its bindings, the
+ * config is the resolved Wrangler configuration that tells us which bindings
+ * exist, and the miniflareOptions are the options that the worker was created
+ * with. Diagnostics go to the logger, if one is given.
+ *
+ * KV, R2 and D1 storage is captured and restored through the bindings.
+ *
+ * Durable Object storage is not reachable from outside of the objects, so it
+ * is captured by copying the files that Miniflare persists it to, and it is
+ * restored by writing those files to a new location and restarting the worker
+ * with that as its storage location. In that case, ctx.env is refreshed, since
+ * bindings obtained before the restart are no longer usable.
+ *
+ * The returned object contains:
+ *   - snapshot(): capture and return the current state of all storage
+ *   - restore(snapshot): put all storage back to the captured state
+ *   - resetStorage(): empty all storage, including the D1 schema */
+export function createStorageHelpers(ctx, config, miniflareOptions, logger = defaultLogger) {
+  const kvBindings = (config.kv_namespaces ?? []).map(item => item.binding);
+  const r2Bindings = (config.r2_buckets ?? []).map(item => item.binding);
+  const d1Bindings = (config.d1_databases ?? []).map(item => item.binding);
+  const hasDurableObjects = (config.durable_objects?.bindings ?? []).length > 0;
+
+  const snapshot = async () => {
+    const result = { kv: {}, r2: {}, d1: {}, durableObjects: null };
+
+    for (const binding of kvBindings) {
+      result.kv[binding] = await snapshotKV(ctx.env[binding]);
+    }
+    for (const binding of r2Bindings) {
+      result.r2[binding] = await snapshotR2(ctx.env[binding]);
+    }
+    for (const binding of d1Bindings) {
+      result.d1[binding] = await snapshotD1(ctx.env[binding]);
+    }
+    if (hasDurableObjects === true) {
+      result.durableObjects = snapshotDurableObjects(ctx.worker.unsafeGetPersistPaths().get('do'));
+    }
+
+    return result;
+  };
+
+  const restore = async (state) => {
+    // Durable Objects are restored first, since doing so restarts the worker
+    // and replaces the bindings that the rest of the restore uses.
+    if (hasDurableObjects === true) {
+      const storagePath = ctx.worker.unsafeGetPersistPaths().get('do');
+      // The new location goes inside of the temporary folder of the Miniflare
+      // instance, so that it is cleaned up along with it when it is disposed.
+      const restorePath = path.join(path.dirname(storagePath), `do-restore-${++restoreCount}`);
+
+      fs.mkdirSync(restorePath, { recursive: true });
+      for (const [file, content] of state.durableObjects ?? []) {
+        fs.mkdirSync(path.dirname(path.join(restorePath, file)), { recursive: true });
+        fs.writeFileSync(path.join(restorePath, file), content);
+      }
+
+      miniflareOptions.durableObjectsPersist = restorePath;
+      await ctx.worker.setOptions(miniflareOptions);
+      ctx.env = await ctx.worker.getBindings('main');
+    }
+
+    for (const binding of kvBindings) {
+      await restoreKV(ctx.env[binding], state.kv[binding] ?? [], logger);
+    }
+    for (const binding of r2Bindings) {
+      await restoreR2(ctx.env[binding], state.r2[binding] ?? []);
+    }
+    for (const binding of d1Bindings) {
+      await restoreD1(ctx.env[binding], state.d1[binding] ?? { schema: [], rows: {} });
+    }
+  };
+
+  const resetStorage = async () => restore({ kv: {}, r2: {}, d1: {}, durableObjects: null });
+
+  return { snapshot, restore, resetStorage };
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,276 @@
+/******************************************************************************/
+
+
+import { defaultLogger } from './logger.js';
+
+
+/******************************************************************************/
+
+
+/* The rules for the configuration keys that cf-aegis understands, used to check
+ * that they have the types and the required fields that Wrangler expects.
+ *
+ * Each rule has a type, which is one of 'string', 'number', 'boolean',
+ * 'object' or 'array', and optionally:
+ *   - fields: for objects, the rules for the known fields within it; fields
+ *             that are not listed are not checked
+ *   - items: for arrays, the rule that every item in the array must follow
+ *   - required: true if the field must be present in its parent object
+ *
+ * Most bindings are arrays of objects; bindingList() creates the rule for one
+ * of those, given the rules for the fields of the objects. */
+const bindingList = (fields) => ({
+  type: 'array',
+  items: { type: 'object', fields }
+});
+
+const CONFIG_RULES = {
+  name: { type: 'string' },
+  main: { type: 'string' },
+  compatibility_date: { type: 'string' },
+  compatibility_flags: { type: 'array', items: { type: 'string' } },
+  assets: {
+    type: 'object',
+    fields: {
+      directory: { type: 'string', required: true },
+      binding: { type: 'string' },
+    }
+  },
+  dev: {
+    type: 'object',
+    fields: {
+      port: { type: 'number' },
+      hostname: { type: 'string' },
+    }
+  },
+  triggers: {
+    type: 'object',
+    fields: {
+      crons: { type: 'array', items: { type: 'string' } },
+    }
+  },
+  vars: { type: 'object' },
+  kv_namespaces: bindingList({
+    binding: { type: 'string', required: true },
+    id: { type: 'string' },
+  }),
+  r2_buckets: bindingList({
+    binding: { type: 'string', required: true },
+    bucket_name: { type: 'string' },
+  }),
+  d1_databases: bindingList({
+    binding: { type: 'string', required: true },
+    database_name: { type: 'string' },
+    database_id: { type: 'string' },
+    migrations_dir: { type: 'string' },
+    migrations_table: { type: 'string' },
+  }),
+  durable_objects: {
+    type: 'object',
+    fields: {
+      bindings: bindingList({
+        name: { type: 'string', required: true },
+        class_name: { type: 'string', required: true },
+        script_name: { type: 'string' },
+      }),
+    }
+  },
+  queues: {
+    type: 'object',
+    fields: {
+      producers: bindingList({
+        binding: { type: 'string', required: true },
+        queue: { type: 'string', required: true },
+      }),
+      consumers: bindingList({
+        queue: { type: 'string', required: true },
+        max_batch_size: { type: 'number' },
+        max_batch_timeout: { type: 'number' },
+        max_retries: { type: 'number' },
+        dead_letter_queue: { type: 'string' },
+        retry_delay: { type: 'number' },
+      }),
+    }
+  },
+  services: bindingList({
+    binding: { type: 'string', required: true },
+    service: { type: 'string', required: true },
+    entrypoint: { type: 'string' },
+  }),
+  secrets: {
+    type: 'object',
+    fields: {
+      required: { type: 'array', items: { type: 'string' } },
+    }
+  },
+};
+
+/* The keys that can only appear at the top level of the configuration, and
+ * not within an environment. */
+const TOP_LEVEL_RULES = {
+  $schema: { type: 'string' },
+  env: { type: 'object' },
+};
+
+/* Keys that Wrangler knows about but that cf-aegis does not support; these are
+ * valid in a configuration, but have no effect on the tests. */
+const UNSUPPORTED_KEYS = [
+  'account_id', 'ai', 'alias', 'analytics_engine_datasets', 'base_dir',
+  'browser', 'build', 'containers', 'data_blobs', 'define',
+  'dispatch_namespaces', 'find_additional_modules', 'first_party_worker',
+  'hyperdrive', 'images', 'jsx_factory', 'jsx_fragment', 'keep_names',
+  'keep_vars', 'legacy_env', 'limits', 'logfwdr', 'logpush', 'migrations',
+  'minify', 'mtls_certificates', 'no_bundle', 'node_compat', 'observability',
+  'pipelines', 'placement', 'preserve_file_names', 'preview_urls', 'ratelimits',
+  'route', 'routes', 'rules', 'secrets_store_secrets', 'send_email',
+  'send_metrics', 'site', 'tail_consumers', 'text_blobs', 'tsconfig',
+  'unsafe', 'upload_source_maps', 'usage_model', 'vectorize',
+  'version_metadata', 'wasm_modules', 'worker_loaders', 'workers_dev',
+  'workflows',
+];
+
+
+/******************************************************************************/
+
+
+/* Return a description of the given type for use in a message, including the
+ * appropriate article. */
+function describeType(type) {
+  return ['array', 'object'].includes(type) === true ? `an ${type}` : `a ${type}`;
+}
+
+
+/* Return true if the given value is of the type that is named. */
+function isType(value, type) {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value) === true;
+
+    case 'object':
+      return value !== null && typeof value === 'object' && Array.isArray(value) === false;
+
+    case 'number':
+      return Number.isFinite(value) === true;
+
+    default:
+      return typeof value === type;
+  }
+}
+
+
+/* Check the value at the given key path in the configuration against its rule,
+ * recursing into any fields or items that the rule describes, and add an issue
+ * to the list for every problem that is found. */
+function checkValue(rule, value, keyPath, issues) {
+  if (isType(value, rule.type) === false) {
+    issues.push({ kind: 'invalid', path: keyPath, message: `must be ${describeType(rule.type)}` });
+    return;
+  }
+
+  if (rule.fields !== undefined) {
+    for (const [field, fieldRule] of Object.entries(rule.fields)) {
+      const fieldPath = `${keyPath}.${field}`;
+      if (value[field] === undefined) {
+        if (fieldRule.required === true) {
+          issues.push({ kind: 'invalid', path: fieldPath, message: 'is required' });
+        }
+        continue;
+      }
+
+      checkValue(fieldRule, value[field], fieldPath, issues);
+    }
+  }
+
+  if (rule.items !== undefined) {
+    value.forEach((item, index) => checkValue(rule.items, item, `${keyPath}[${index}]`, issues));
+  }
+}
+
+
+/* Check all of the keys in a configuration object (either the top level or an
+ * environment within it) whose key path starts with the prefix given, adding
+ * an issue to the list for every problem that is found. */
+function checkConfigObject(config, prefix, rules, issues) {
+  for (const [key, value] of Object.entries(config)) {
+    const keyPath = `${prefix}${key}`;
+
+    if (rules[key] !== undefined) {
+      checkValue(rules[key], value, keyPath, issues);
+    } else if (UNSUPPORTED_KEYS.includes(key) === true) {
+      issues.push({ kind: 'unsupported', path: keyPath, message: 'is not supported by cf-aegis and will be ignored' });
+    } else {
+      issues.push({ kind: 'unknown', path: keyPath, message: 'is not a known Wrangler configuration key' });
+    }
+  }
+}
+
+
+/******************************************************************************/
+
+
+/* Given a raw parsed Wrangler configuration object (that is, one that has not
+ * yet been resolved to an environment), check that the keys in it, and in all
+ * of the environments it contains, are valid.
+ *
+ * The return value is an array of the problems that were found, which is empty
+ * if the configuration is valid. Each problem is an object with:
+ *   - kind: 'invalid' for a key that has the wrong type or a missing required
+ *           field, 'unknown' for a key that Wrangler does not know about, or
+ *           'unsupported' for a key that Wrangler knows about but which is not
+ *           supported by cf-aegis
+ *   - path: the path to the key in the configuration, e.g. 'r2_buckets[0].binding'
+ *           or 'env.staging.vars'
+ *   - message: a description of the problem */
+export function validateWranglerConfig(rawConfig) {
+  const issues = [];
+
+  checkConfigObject(rawConfig, '', { ...CONFIG_RULES, ...TOP_LEVEL_RULES }, issues);
+
+  // Each environment is checked in the same way as the top level, except that
+  // the top level only keys are not valid within it.
+  if (isType(rawConfig.env, 'object') === true) {
+    for (const [envName, envConfig] of Object.entries(rawConfig.env)) {
+      if (isType(envConfig, 'object') === false) {
+        issues.push({ kind: 'invalid', path: `env.${envName}`, message: 'must be an object' });
+        continue;
+      }
+
+      checkConfigObject(envConfig, `env.${envName}.`, CONFIG_RULES, issues);
+    }
+  }
+
+  return issues;
+}
+
+
+/* Given the issues found by validateWranglerConfig() and the source of the
+ * configuration (e.g. the filename it came from), report on them according to
+ * the validation mode.
+ *
+ * Invalid keys always cause an error to be thrown that lists all of them, since
+ * a configuration with the wrong types or missing fields cannot be used to
+ * create the worker. The mode controls the other issues, and is one of:
+ *   - 'warn': unknown and unsupported keys are logged as warnings
+ *   - 'strict': unknown keys are also an error, while unsupported keys are
+ *               still only warnings, since they are valid Wrangler
+ *               configuration
+ *
+ * Warnings are reported to the logger. */
+export function reportConfigIssues(issues, source, mode, logger = defaultLogger) {
+  const describe = issue => `${source}: '${issue.path}' ${issue.message}`;
+
+  const errors = issues.filter(issue => issue.kind === 'invalid' ||
+                                        (mode === 'strict' && issue.kind === 'unknown'));
+  for (const issue of issues) {
+    if (errors.includes(issue) === false) {
+      logger.warn(describe(issue));
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`invalid configuration:\n${errors.map(issue => `  - ${describe(issue)}`).join('\n')}`);
+  }
+}
+
+
+/******************************************************************************/
@@ -11,23 +11,38 @@ import JSON5 from 'json5';
 /******************************************************************************/
 
 
+/* The names of the configuration files that Wrangler looks for, in the order
+ * of precedence that it uses when more than one exists in the same folder. */
+const CONFIG_FILENAMES = ['wrangler.json', 'wrangler.jsonc', 'wrangler.toml'];
+
+
+/******************************************************************************/
+
+
 /* Given a path to a wrangler configuration file, load it and return the parsed
  * object. The extension of the file is used to determine whether the file is
- * in the TOML format or the JSONC format that wrangler allows.
+ * in the TOML format or the JSON/JSONC format that wrangler allows.
+ *
+ * A relative filename is relative to the given base directory, which defaults
+ * to the current working directory.
  *
  * No validation is done to ensure that the data in the file is actually a valid
  * wrangler configuration file.
  *
  * An error will be thrown if the file extension is not recognized, or if there
  * is a format error in the file that causes it to not parse. */
-export function loadWranglerConfig(filename) {
+export function loadWranglerConfig(filename, baseDir = process.cwd()) {
   const extension = path.extname(filename);
-  const content = fs.readFileSync(filename, 'utf8');
+  const content = fs.readFileSync(path.resolve(baseDir, filename), 'utf8');
 
   if (extension === '.toml') {
     return parseToml(content);
   }
 
+  if (extension === '.json') {
+    return JSON.parse(content);
+  }
+
   if (extension === '.jsonc') {
     return JSON5.parse(content);
   }
@@ -36,4 +51,36 @@ export function loadWranglerConfig(filename) {
 }
 
 
+/******************************************************************************/
+
+
+/* Search for a wrangler configuration file in the same way that Wrangler does,
+ * starting in the given folder and moving upward through its parents until one
+ * is found. Within a folder, the files are checked in Wrangler's order of
+ * precedence; see CONFIG_FILENAMES.
+ *
+ * The return value is the absolute path of the file that was found, or null if
+ * there is no configuration file in the folder or any of its parents. */
+export function findWranglerConfig(startDir = process.cwd()) {
+  let folder = path.resolve(startDir);
+
+  while (true) {
+    for (const filename of CONFIG_FILENAMES) {
+      const candidate = path.join(folder, filename);
+      if (fs.existsSync(candidate) === true) {
+        return candidate;
+      }
+    }
+
+    // When the parent of a folder is itself, we are at the root and there is
+    // nowhere left to look.
+    const parent = path.dirname(folder);
+    if (parent === folder) {
+      return null;
+    }
+    folder = parent;
+  }
+}
+
+
 /******************************************************************************/
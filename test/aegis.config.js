@@ -17,11 +17,27 @@ initializeCustomChecks();
 export const config = {
   files: [
     "test/config.test.js",
+    "test/validate.test.js",
+    "test/interpolate.test.js",
+    "test/logger.test.js",
     "test/env.test.js",
     "test/setup.test.js",
     "test/fetch.test.js",
     "test/assets.test.js",
     "test/mixed.test.js",
+    "test/migrations.test.js",
+    "test/fixtures.test.js",
+    "test/storage.test.js",
+    "test/scheduled.test.js",
+    "test/queues.test.js",
+    "test/mocks.test.js",
+    "test/outbound.test.js",
+    "test/logs.test.js",
+    "test/multi.test.js",
+    "test/harness.test.js",
+    "test/pool.test.js",
+    "test/reload.test.js",
+    "test/cleanup.test.js",
   ],
 
   // The usual setup and teardown hooks are in the individual tests since they
@@ -0,0 +1,134 @@
+/******************************************************************************/
+
+
+import { Collection, $check, $ } from "@axel669/aegis";
+import { spawnSync } from "child_process";
+
+import { createTestWorker, aegisSetup, aegisTeardown, disposeAllWorkers } from "../lib/index.js";
+
+
+/******************************************************************************/
+
+
+/* The configuration used for the tests in this file. */
+const config = {
+  main: './test/worker/worker.js',
+  compatibility_date: '2025-09-27'
+};
+
+/* A script that creates a worker and then exits without disposing of it, run
+ * in a separate process so that the report of the leaked worker can be seen. */
+const leakScript = `
+  import { createTestWorker } from ${JSON.stringify(new URL('../lib/index.js', import.meta.url).href)};
+  await createTestWorker({ main: './test/worker/worker.js', compatibility_date: '2025-09-27' });
+  process.exit(0);
+`;
+
+
+/******************************************************************************/
+
+
+/* Check whether the given Miniflare instance has been disposed of, in which
+ * case it can no longer handle requests. */
+async function isDisposed(worker) {
+  try {
+    await worker.dispatchFetch('http://localhost/test');
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+
+/******************************************************************************/
+
+
+export default Collection`Worker Cleanup`({
+  /* This section tests that teardown removes everything that setup added to
+   * the context, and nothing else. */
+  "Teardown": async ({ runScope }) => {
+    const ctx = { mine: 'kept' };
+    await aegisSetup(ctx, config, { port: 'auto' });
+
+    $check`The context has the server details`
+      .value(typeof ctx.serverPort)
+      .eq($, 'number');
+
+    await aegisTeardown(ctx);
+
+    $check`Teardown removes every key that setup added`
+      .value(Object.keys(ctx))
+      .deepEquals($, ['mine']);
+
+    await $check`Teardown of a context that was not set up does nothing`
+      .call(async () => {
+        await aegisTeardown(ctx);
+        return Object.keys(ctx);
+      })
+      .deepEquals($, ['mine']);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that setting up a context that already has a live
+   * worker reports it and tears that worker down. */
+  "Repeated Setup": async ({ runScope }) => {
+    const warnings = [];
+    const logger = {
+      level: 'warn',
+      sink: (level, message) => warnings.push(message)
+    };
+
+    const ctx = {};
+    await aegisSetup(ctx, config, { logger });
+    const first = ctx.worker;
+    await aegisSetup(ctx, config, { logger });
+
+    await $check`The existing worker is torn down`
+      .call(async () => ({ same: ctx.worker === first, disposed: await isDisposed(first) }))
+      .eq($.same, false)
+      .eq($.disposed, true);
+
+    $check`The repeated setup is reported`
+      .value(warnings)
+      .keyCount($, 1)
+      .eq($[0], 'setting up a worker in a context that already has one; tearing the existing worker down first');
+
+    await aegisTeardown(ctx);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that the workers that are still alive can all be
+   * disposed of at once, and that those never disposed of are reported. */
+  "Live Workers": async ({ runScope }) => {
+    const first = await createTestWorker(config);
+    const second = await createTestWorker(config);
+    await disposeAllWorkers();
+
+    await $check`Every live worker is disposed of`
+      .call(async () => [await isDisposed(first.worker), await isDisposed(second.worker)])
+      .deepEquals($, [true, true]);
+
+    await $check`Workers that are never disposed of are reported at exit`
+      .call(async () => {
+        const result = spawnSync(process.execPath, ['--input-type=module', '-e', leakScript], {
+          encoding: 'utf8',
+          timeout: 60000
+        });
+        return {
+          status: result.status,
+          reported: result.stderr.includes(`the worker for '<inline config>' was never disposed of`)
+        };
+      })
+      .eq($.status, 0)
+      .eq($.reported, true);
+  },
+});
+
+
+/******************************************************************************/
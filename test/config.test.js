@@ -2,9 +2,11 @@
 
 
 import { Collection, $check, $ } from "@axel669/aegis";
+import path from "path";
 
+import { aegisSetup, aegisTeardown } from "../lib/index.js";
 import { createMiniflareOptions } from "../lib/miniflare.js";
-import { resolveEnvironmentConfig } from "../lib/config.js";
+import { resolveEnvironmentConfig, resolveConfigPaths, findIgnoredKeys, mergeConfigOverrides } from "../lib/config.js";
 
 
 /******************************************************************************/
@@ -212,6 +214,43 @@ export default Collection`Wrangler Configuration Parsing`({
   /****************************************************************************/
 
 
+  /* This section tests that the settings of queue consumers are carried over
+   * into the Miniflare options. */
+  "Queue Consumer Settings": ({ runScope }) => {
+    const config = {
+      queues: {
+        consumers: [
+          {
+            queue: 'my-queue',
+            max_batch_size: 5,
+            max_batch_timeout: 1,
+            max_retries: 2,
+            dead_letter_queue: 'my-dlq',
+            retry_delay: 10
+          },
+          { queue: 'my-dlq' }
+        ]
+      }
+    };
+
+    $check`Queue consumer settings are mapped`
+      .value(createMiniflareOptions(config, {}).workers[0].queueConsumers)
+      .deepEquals($, {
+        'my-queue': {
+          maxBatchSize: 5,
+          maxBatchTimeout: 1,
+          maxRetries: 2,
+          deadLetterQueue: 'my-dlq',
+          retryDelay: 10
+        },
+        'my-dlq': {}
+      });
+  },
+
+
+  /****************************************************************************/
+
+
   /* This section tests the special handling for service bindings, including
    * the case where a mock is provided and the case where it is not. */
   "Service Bindings": ({ runScope }) => {
@@ -267,6 +306,39 @@ export default Collection`Wrangler Configuration Parsing`({
   /****************************************************************************/
 
 
+  /* This section tests that a service mock that is given as a function is
+   * wired up as a worker that forwards to a function binding. */
+  "Function Service Mocks": ({ runScope }) => {
+    const config = {
+      services: [
+        { binding: 'MOCKED_SERVICE', service: 'my-function-worker' }
+      ]
+    };
+
+    const workerMocks = {
+      'my-function-worker': {
+        fetch: async () => new Response("mocked")
+      }
+    };
+
+    const result = createMiniflareOptions(config, workerMocks);
+    const mockedWorker = result.workers.find(w => w.name === 'my-function-worker');
+
+    // The worker needs a script to forward requests with, and a function
+    // binding for them to be forwarded to; the function itself is not used
+    // directly, so that it can be replaced later.
+    $check`Function mock is wired through a function binding`
+      .value(mockedWorker)
+      .instanceof($.script, String)
+      .isFunction($.serviceBindings.HANDLER)
+      .neq($.serviceBindings.HANDLER, workerMocks['my-function-worker'].fetch)
+      .eq($.fetch, undefined);
+  },
+
+
+  /****************************************************************************/
+
+
   /* This section tests that the secrets configuration is correctly mapped,
    * specifically ensuring that only the 'required' array is passed through and
    * that improperly formatted secrets are safely ignored. */
@@ -376,7 +448,6 @@ export default Collection`Wrangler Configuration Parsing`({
           script: `
           export default {
             fetch(request) {
-              console.log(\`[cf-aegis] mock for service 'my-service' received a request for: \${request.url}\`);
               return new Response('Service not implemented in test environment', { status: 404 });
             }
           }
@@ -472,7 +543,212 @@ export default Collection`Wrangler Configuration Parsing`({
     $check`Specified environment inherits, overrides, and isolates correctly`
       .value(stagingResolved)
       .deepEquals($, expectedStaging);
-  }
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that the paths in a configuration are made absolute
+   * relative to a base directory when one is given. */
+  "Configuration Paths": ({ runScope }) => {
+    const baseDir = path.resolve('/projects/app');
+    const rawConfig = {
+      main: './src/index.js',
+      assets: { binding: 'ASSETS', directory: './public' },
+      d1_databases: [
+        { binding: 'DB', migrations_dir: './db/migrations' },
+        { binding: 'OTHER_DB' }
+      ],
+      env: {
+        absolute: { main: path.resolve('/elsewhere/index.js') }
+      }
+    };
+
+    $check`Paths are resolved against the base directory`
+      .value(resolveEnvironmentConfig(rawConfig, undefined, baseDir))
+      .eq($.main, path.join(baseDir, 'src/index.js'))
+      .eq($.assets.directory, path.join(baseDir, 'public'))
+      .eq($.assets.binding, 'ASSETS')
+      .eq($.d1_databases[0].migrations_dir, path.join(baseDir, 'db/migrations'))
+      .deepEquals($.d1_databases[1], { binding: 'OTHER_DB' });
+
+    $check`Paths that are already absolute are left alone`
+      .value(resolveEnvironmentConfig(rawConfig, 'absolute', baseDir))
+      .eq($.main, path.resolve('/elsewhere/index.js'));
+
+    $check`Without a base directory, paths are left as they are`
+      .value(resolveEnvironmentConfig(rawConfig, undefined))
+      .eq($.main, './src/index.js')
+      .eq($.assets.directory, './public');
+
+    $check`Resolving paths does not modify the configuration`
+      .value(resolveConfigPaths(rawConfig, baseDir) !== rawConfig && rawConfig.main === './src/index.js')
+      .eq($, true);
+
+    $check`The main script is resolved when creating the options`
+      .value(createMiniflareOptions({ main: './src/index.js' }, {}, undefined, { baseDir }).workers[0])
+      .eq($.scriptPath, path.join(baseDir, 'src/index.js'))
+      .eq($.modulesRoot, path.parse(baseDir).root);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that the keys which are dropped when the configuration
+   * is resolved are reported, both directly and via the setup helper. */
+  "Ignored Keys": async ({ runScope }) => {
+    const rawConfig = {
+      name: 'ignored-keys',
+      main: './worker.js',
+      routes: ['example.com/*'],
+      hyperdrive: [{ binding: 'HYPERDRIVE', id: 'hd' }],
+      env: {
+        staging: {
+          vars: { ENV: 'staging' },
+          ai: { binding: 'AI' }
+        }
+      }
+    };
+
+    $check`Ignored keys are reported for the top level`
+      .value(findIgnoredKeys(rawConfig, undefined))
+      .deepEquals($, ['routes', 'hyperdrive']);
+
+    $check`Ignored keys are reported for the environment`
+      .value(findIgnoredKeys(rawConfig, 'staging'))
+      .deepEquals($, ['routes', 'hyperdrive', 'env.staging.ai']);
+
+    $check`A configuration with only known keys ignores nothing`
+      .value(findIgnoredKeys({ name: 'known', vars: {}, env: {} }, undefined))
+      .deepEquals($, []);
+
+    const ctx = {};
+    await aegisSetup(ctx, { routes: ['example.com/*'], vars: { ENV: 'top' } });
+
+    $check`The ignored keys are available in the context`
+      .value(ctx.ignoredKeys)
+      .deepEquals($, ['routes']);
+
+    await aegisTeardown(ctx);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that overrides are deep merged into a configuration,
+   * with the items in lists of bindings matched by their identity. */
+  "Configuration Overrides": async ({ runScope }) => {
+    const config = {
+      main: './worker.js',
+      compatibility_flags: ['nodejs_compat'],
+      dev: { port: 8080, hostname: 'localhost' },
+      vars: { ENV: 'production', KEEP: 'yes' },
+      kv_namespaces: [{ binding: 'KV', id: 'production-kv' }],
+      durable_objects: { bindings: [{ name: 'DO', class_name: 'Counter' }] },
+      queues: { consumers: [{ queue: 'work', max_retries: 3 }] }
+    };
+
+    const merged = mergeConfigOverrides(config, {
+      main: './test-worker.js',
+      compatibility_flags: ['other_flag'],
+      dev: { port: 9090 },
+      vars: { ENV: 'test' },
+      kv_namespaces: [{ binding: 'KV', id: 'test-kv' }, { binding: 'KV_EXTRA', id: 'extra-kv' }],
+      durable_objects: { bindings: [{ name: 'DO', script_name: 'other' }] },
+      queues: { consumers: [{ queue: 'work', max_retries: 0 }] },
+      r2_buckets: [{ binding: 'BUCKET' }]
+    });
+
+    $check`Overrides are merged into the configuration`
+      .value(merged)
+      .deepEquals($, {
+        main: './test-worker.js',
+        compatibility_flags: ['other_flag'],
+        dev: { port: 9090, hostname: 'localhost' },
+        vars: { ENV: 'test', KEEP: 'yes' },
+        kv_namespaces: [{ binding: 'KV', id: 'test-kv' }, { binding: 'KV_EXTRA', id: 'extra-kv' }],
+        durable_objects: { bindings: [{ name: 'DO', class_name: 'Counter', script_name: 'other' }] },
+        queues: { consumers: [{ queue: 'work', max_retries: 0 }] },
+        r2_buckets: [{ binding: 'BUCKET' }]
+      });
+
+    $check`The original configuration is not modified`
+      .value(config)
+      .eq($.main, './worker.js')
+      .eq($.vars.ENV, 'production')
+      .keyCount($.kv_namespaces, 1);
+
+    const ctx = {};
+    await aegisSetup(ctx, './test/worker/wrangler.toml', {
+      port: 'auto',
+      overrides: {
+        vars: { ENVIRONMENT: 'overridden' },
+        kv_namespaces: [{ binding: 'KV_EXTRA', id: 'extra' }]
+      }
+    });
+
+    await $check`The setup helper applies overrides to a file configuration`
+      .call(async () => {
+        await ctx.env.KV_EXTRA.put('key', 'value');
+        return {
+          api: ctx.env.API_VERSION,
+          environment: ctx.env.ENVIRONMENT,
+          original: ctx.env.KV_CONFIG !== undefined,
+          extra: await ctx.env.KV_EXTRA.get('key')
+        };
+      })
+      .eq($.api, 'v1.0.0')
+      .eq($.environment, 'overridden')
+      .eq($.original, true)
+      .eq($.extra, 'value');
+
+    await aegisTeardown(ctx);
+
+    await $check`Partial overrides of existing bindings are valid in strict mode`
+      .call(async () => {
+        await aegisSetup(ctx, './test/worker/wrangler.toml', {
+          validation: 'strict',
+          overrides: {
+            durable_objects: { bindings: [{ name: 'DO_COUNTER', script_name: 'aegis-full-test' }] },
+            services: [{ binding: 'AUTH_SERVICE', service: 'other-auth-worker' }],
+            queues: { producers: [{ binding: 'QUEUE_MAIN' }] }
+          }
+        });
+        const isSetup = ctx.env.DO_COUNTER !== undefined;
+        await aegisTeardown(ctx);
+        return isSetup;
+      })
+      .eq($, true);
+
+    await $check`New bindings in the overrides must be complete`
+      .call(async () => {
+        try {
+          await aegisSetup(ctx, './test/worker/wrangler.toml', {
+            validation: 'strict',
+            overrides: { durable_objects: { bindings: [{ name: 'DO_OTHER', script_name: 'other' }] } }
+          });
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })
+      .eq($, "invalid configuration:\n" +
+             "  - <overrides>: 'durable_objects.bindings[1].class_name' is required");
+
+    await $check`Overrides must be an object`
+      .call(async () => {
+        try {
+          await aegisSetup(ctx, {}, { overrides: [] });
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })
+      .eq($, 'the overrides option must be an object');
+  },
 });
 
 
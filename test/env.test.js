@@ -8,7 +8,9 @@ import path from 'node:path';
 
 import { loadWranglerConfig } from '../lib/wrangler.js';
 import { resolveEnvironmentConfig } from '../lib/config.js';
-import { loadTestEnvironment } from '../lib/env.js';
+import { loadTestEnvironment, applyVariableSchema } from '../lib/env.js';
+import { aegisSetup, aegisTeardown } from '../lib/index.js';
+import { createLogger } from '../lib/logger.js';
 import { createMiniflareOptions } from '../lib/miniflare.js';
 
 
@@ -20,6 +22,8 @@ import { createMiniflareOptions } from '../lib/miniflare.js';
 const rootDir = process.cwd();
 const testDir1 = path.resolve(rootDir, 'test/envTest1');
 const testDir2 = path.resolve(rootDir, 'test/envTest2');
+const testDir3 = path.resolve(rootDir, 'test/envTest3');
+const testDir4 = path.resolve(rootDir, 'test/envTest4');
 
 if (fs.existsSync(testDir1) === false) {
   fs.mkdirSync(testDir1, { recursive: true });
@@ -27,6 +31,12 @@ if (fs.existsSync(testDir1) === false) {
 if (fs.existsSync(testDir2) === false) {
   fs.mkdirSync(testDir2, { recursive: true });
 }
+if (fs.existsSync(testDir3) === false) {
+  fs.mkdirSync(testDir3, { recursive: true });
+}
+if (fs.existsSync(testDir4) === false) {
+  fs.mkdirSync(testDir4, { recursive: true });
+}
 
 // -----------------------------------------------------------------------------
 // Setup envTest1 files (Mutually Exclusive .vars Precedence)
@@ -110,10 +120,53 @@ SHARED_VAR="dev_local_shared"
 DEV_LOCAL_ONLY="dev_local_val"
 `.trim());
 
+// -----------------------------------------------------------------------------
+// Setup envTest3 files (Variable Schema)
+// -----------------------------------------------------------------------------
+fs.writeFileSync(path.join(testDir3, 'wrangler.jsonc'), JSON.stringify({
+  name: "env-test-3",
+  vars: {
+    MODE: "fast"
+  }
+}, null, 2));
+
+fs.writeFileSync(path.join(testDir3, '.test.vars'), `
+PORT="8080"
+DEBUG="true"
+`.trim());
+
+fs.writeFileSync(path.join(testDir3, '.test.vars.schema.json'), JSON.stringify({
+  PORT: { type: "number" },
+  DEBUG: { type: "boolean" },
+  MODE: { enum: ["fast", "slow"], default: "slow" },
+  REGION: { pattern: "^[a-z]+$", default: "east" }
+}, null, 2));
+
+// -----------------------------------------------------------------------------
+// Setup envTest4 files (Log Redaction)
+// -----------------------------------------------------------------------------
+fs.writeFileSync(path.join(testDir4, '.test.vars'), `
+PLAIN="visible"
+API_TOKEN="token-value"
+signing_key="key-value"
+SESSION="session-value"
+INTERNAL_ID="internal-value"
+`.trim());
+
 
 /******************************************************************************/
 
 
+/* This helper function creates a logger that captures every line of every
+ * message that is logged to it into the given array. */
+function captureLogger(lines) {
+  return createLogger({
+    level: 'debug',
+    sink: (level, message) => lines.push(...message.split('\n'))
+  });
+}
+
+
 /* This helper function simulates the exact loading and merging process that
  * happens inside aegisSetup(), allowing us to test the final resolved bindings
  * that would be injected into the worker. */
@@ -283,6 +336,174 @@ export default Collection`Environment Variable Loading`({
       delete process.env.CLOUDFLARE_INCLUDE_PROCESS_ENV;
       delete process.env.AEGIS_CROSS_PLATFORM_TEST;
     }
+  },
+
+
+  /****************************************************************************/
+
+
+  /* Tests that a schema converts variables to their declared types, applies
+   * defaults and reports every variable that does not conform. */
+  "Variable Schema": ({ runScope }) => {
+    const schema = {
+      PORT: { type: 'number' },
+      DEBUG: { type: 'boolean' },
+      SETTINGS: { type: 'json' },
+      MODE: { enum: ['fast', 'slow'], default: 'slow' },
+      TOKEN: { pattern: '^tk_' },
+      OPTIONAL: { required: false }
+    };
+
+    $check`Variables are converted and defaulted`
+      .value(applyVariableSchema({
+        PORT: '8080',
+        DEBUG: 'FALSE',
+        SETTINGS: '{"retries":3}',
+        TOKEN: 'tk_123',
+        OTHER: 'untouched'
+      }, schema))
+      .deepEquals($, {
+        PORT: 8080,
+        DEBUG: false,
+        SETTINGS: { retries: 3 },
+        MODE: 'slow',
+        TOKEN: 'tk_123',
+        OTHER: 'untouched'
+      });
+
+    $check`Every invalid variable is reported`
+      .value((() => {
+        try {
+          applyVariableSchema({ PORT: 'eighty', DEBUG: 'yes', SETTINGS: '{', MODE: 'medium' }, schema);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })())
+      .eq($, "invalid test variables:\n" +
+             "  - 'PORT' is not a valid number\n" +
+             "  - 'DEBUG' is not a valid boolean\n" +
+             "  - 'SETTINGS' is not a valid json\n" +
+             "  - 'MODE' must be one of: fast, slow\n" +
+             "  - 'TOKEN' is required");
+
+    $check`Patterns are checked against the value`
+      .value((() => {
+        try {
+          applyVariableSchema({ PORT: '1', DEBUG: 'true', SETTINGS: '1', TOKEN: 'nope' }, schema);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })())
+      .eq($, "invalid test variables:\n  - 'TOKEN' does not match the pattern /^tk_/");
+  },
+
+
+  /****************************************************************************/
+
+
+  /* Tests that the setup helper applies a schema from a file alongside the
+   * configuration, or from its options, before the worker starts. */
+  "Variable Schema Setup": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, './test/envTest3/wrangler.jsonc');
+
+    $check`The schema file is applied to the variables`
+      .value(ctx.env)
+      .eq($.PORT, 8080)
+      .eq($.DEBUG, true)
+      .eq($.MODE, 'fast')
+      .eq($.REGION, 'east');
+
+    await aegisTeardown(ctx);
+
+    await $check`A schema in the options replaces the file and can fail setup`
+      .call(async () => {
+        try {
+          await aegisSetup(ctx, './test/envTest3/wrangler.jsonc', {
+            varsSchema: { MODE: { enum: ['slow'] } }
+          });
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })
+      .eq($, "invalid test variables:\n  - 'MODE' must be one of: slow");
+
+    $check`No worker is started when the variables are invalid`
+      .value(ctx.worker)
+      .eq($, undefined);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* Tests that the values of secrets are masked when the loaded variables are
+   * logged, and that the values can be left out of the log entirely. */
+  "Log Redaction": ({ runScope }) => {
+    const originalCwd = process.cwd();
+    const secretConfig = { secrets: { required: ['PLAIN', 'API_TOKEN', 'signing_key', 'SESSION', 'INTERNAL_ID'] } };
+
+    // Load the variables with the given configuration and log options, and
+    // return back the lines that were logged for them.
+    const load = (config, logOptions) => {
+      const lines = [];
+      process.chdir(testDir4);
+      try {
+        loadTestEnvironment(config, undefined, rootDir, { ...logOptions, logger: captureLogger(lines) });
+      } finally {
+        process.chdir(originalCwd);
+      }
+      return lines;
+    };
+
+    const secretLines = load(secretConfig, undefined);
+    $check`Required secrets are redacted by default`
+      .value({
+        plain: secretLines.includes('  - PLAIN = [redacted]'),
+        token: secretLines.includes('  - API_TOKEN = [redacted]'),
+        leaked: secretLines.some(line => line.includes('-value') || line.includes('visible'))
+      })
+      .eq($.plain, true)
+      .eq($.token, true)
+      .eq($.leaked, false);
+
+    const defaultLines = load({}, undefined);
+    $check`Variables that look like secrets are redacted`
+      .value({
+        plain: defaultLines.includes('  - PLAIN = visible'),
+        token: defaultLines.includes('  - API_TOKEN = [redacted]'),
+        key: defaultLines.includes('  - signing_key = [redacted]'),
+        session: defaultLines.includes('  - SESSION = session-value')
+      })
+      .eq($.plain, true)
+      .eq($.token, true)
+      .eq($.key, true)
+      .eq($.session, true);
+
+    const patternLines = load({}, { redact: ['SESSION', 'INTERNAL_*'] });
+    $check`The redact patterns can be configured`
+      .value({
+        token: patternLines.includes('  - API_TOKEN = token-value'),
+        session: patternLines.includes('  - SESSION = [redacted]'),
+        internal: patternLines.includes('  - INTERNAL_ID = [redacted]')
+      })
+      .eq($.token, true)
+      .eq($.session, true)
+      .eq($.internal, true);
+
+    const hiddenLines = load({}, { showValues: false });
+    $check`Values can be left out of the log`
+      .value({
+        plain: hiddenLines.includes('  - PLAIN'),
+        session: hiddenLines.includes('  - SESSION'),
+        leaked: hiddenLines.some(line => line.includes('-value') || line.includes('visible'))
+      })
+      .eq($.plain, true)
+      .eq($.session, true)
+      .eq($.leaked, false);
   }
 });
 
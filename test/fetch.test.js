@@ -132,6 +132,85 @@ export default Collection`Worker Route Fetching`({
 
     await aegisTeardown(ctx);
   },
+
+
+  /****************************************************************************/
+
+
+  /* This section verifies that when the configuration does not include a port
+   * to listen on, the wrapped fetch dispatches directly into the worker. */
+  "In-Process Dispatch": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, {
+      main: './test/worker/worker.js',
+      compatibility_date: '2025-09-27'
+    });
+
+    $check`Server is not listening`
+      .value(ctx)
+      .eq($.isServerListening, false)
+      .eq($.serverBaseUrl, undefined);
+
+    await $check`Dispatched fetch with fragment succeeds on valid route`
+      .call(async () => {
+        const res = await ctx.fetch('/test');
+        return { status: res.status, text: await res.text() };
+      })
+      .eq($.status, 200)
+      .eq($.text, 'Hello World');
+
+    await $check`Dispatched fetch with fragment fails on invalid route`
+      .call(async () => {
+        const res = await ctx.fetch('/non-existent-route');
+        return { status: res.status, text: await res.text() };
+      })
+      .eq($.status, 404)
+      .eq($.text, 'Not found');
+
+    await $check`Dispatched fetch with full URL succeeds on valid route`
+      .call(async () => {
+        const res = await ctx.fetch('http://example.com/test');
+        return { status: res.status, text: await res.text() };
+      })
+      .eq($.status, 200)
+      .eq($.text, 'Hello World');
+
+    await aegisTeardown(ctx);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section verifies that automatic port allocation binds each instance to
+   * its own free port, allowing several to run side by side. */
+  "Automatic Port Allocation": async ({ runScope }) => {
+    const ctx1 = {};
+    const ctx2 = {};
+    await aegisSetup(ctx1, './test/worker/wrangler.toml', { port: 'auto' });
+    await aegisSetup(ctx2, './test/worker/wrangler.toml', { port: 'auto' });
+
+    $check`Both servers are listening on distinct, real ports`
+      .value({ ctx1, ctx2 })
+      .eq($.ctx1.isServerListening, true)
+      .eq($.ctx2.isServerListening, true)
+      .neq($.ctx1.serverPort, 0)
+      .neq($.ctx1.serverPort, 9002)
+      .neq($.ctx1.serverPort, ctx2.serverPort)
+      .eq($.ctx1.serverBaseUrl, `http://127.0.0.1:${ctx1.serverPort}`);
+
+    await $check`Both servers respond to requests`
+      .call(async () => {
+        const res1 = await ctx1.fetch('/test');
+        const res2 = await fetch(new URL('/test', ctx2.serverBaseUrl));
+        return { text1: await res1.text(), text2: await res2.text() };
+      })
+      .eq($.text1, 'Hello World')
+      .eq($.text2, 'Hello World');
+
+    await aegisTeardown(ctx1);
+    await aegisTeardown(ctx2);
+  },
 });
 
 
@@ -0,0 +1,120 @@
+/******************************************************************************/
+
+
+import { Collection, $check, $ } from "@axel669/aegis";
+import fs from "fs";
+
+import { aegisSetup, aegisTeardown } from "../lib/index.js";
+
+
+/******************************************************************************/
+
+
+/* The configuration used for the tests in this file; the database uses the
+ * test migrations so that there is a table to seed rows into. */
+const config = {
+  kv_namespaces: [{ binding: 'KV', id: 'fixture-kv' }],
+  r2_buckets: [{ binding: 'BUCKET', bucket_name: 'fixture-bucket' }],
+  d1_databases: [{
+    binding: 'DB',
+    database_name: 'fixture-db',
+    database_id: 'fixture-db-id',
+    migrations_dir: './test/worker/d1_migrations'
+  }]
+};
+
+
+/******************************************************************************/
+
+
+export default Collection`Fixture Seeding`({
+  /* This section tests that fixtures of every kind are seeded into their
+   * bindings as part of the setup. */
+  "Seeded Bindings": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, config, {
+      fixtures: {
+        kv: {
+          KV: [
+            { key: 'plain', value: 'text' },
+            { key: 'object', value: { a: 1 }, metadata: { source: 'fixture' } },
+          ]
+        },
+        r2: {
+          BUCKET: [
+            { key: 'inline.txt', content: 'inline content', customMetadata: { kind: 'inline' } },
+            { key: 'file.txt', file: './test/worker/public/test.txt' },
+          ]
+        },
+        d1: {
+          DB: [
+            { file: './test/worker/fixtures/seed.sql' },
+            { table: 'users', file: './test/worker/fixtures/users.json' },
+            { table: 'users', rows: [{ name: 'frank', motto: 'inline' }] },
+          ]
+        }
+      }
+    });
+
+    await $check`KV fixtures are seeded with values and metadata`
+      .call(async () => {
+        const plain = await ctx.env.KV.get('plain');
+        const { value, metadata } = await ctx.env.KV.getWithMetadata('object', 'json');
+        return { plain, value, metadata };
+      })
+      .eq($.plain, 'text')
+      .deepEquals($.value, { a: 1 })
+      .deepEquals($.metadata, { source: 'fixture' });
+
+    await $check`R2 fixtures are seeded from inline content and files`
+      .call(async () => {
+        const inline = await ctx.env.BUCKET.get('inline.txt');
+        const file = await ctx.env.BUCKET.get('file.txt');
+        return {
+          inline: await inline.text(),
+          metadata: inline.customMetadata,
+          file: await file.text()
+        };
+      })
+      .eq($.inline, 'inline content')
+      .deepEquals($.metadata, { kind: 'inline' })
+      .eq($.file, fs.readFileSync('./test/worker/public/test.txt', 'utf8'));
+
+    await $check`D1 fixtures are seeded from SQL, JSON files and inline rows`
+      .call(async () => {
+        const { results } = await ctx.env.DB.prepare(`SELECT name FROM users ORDER BY id`).all();
+        return results.map(row => row.name);
+      })
+      .deepEquals($, ['alice', 'carol', 'dave', 'erin', 'frank']);
+
+    await aegisTeardown(ctx);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that a fixture for a binding that does not exist is
+   * reported as an error. */
+  "Unknown Binding": async ({ runScope }) => {
+    const ctx = {};
+
+    await $check`Seeding an unknown binding throws`
+      .call(async () => {
+        try {
+          await aegisSetup(ctx, config, {
+            fixtures: { kv: { MISSING: [{ key: 'a', value: 'b' }] } }
+          });
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })
+      .eq($, `cannot seed KV fixtures; binding 'MISSING' does not exist`);
+
+    await aegisTeardown(ctx);
+  },
+});
+
+
+/******************************************************************************/
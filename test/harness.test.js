@@ -0,0 +1,116 @@
+/******************************************************************************/
+
+
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { createTestWorker, aegisSetup, aegisTeardown } from "../lib/index.js";
+
+
+/******************************************************************************/
+
+
+/* The configuration used for the tests in this file; the Durable Object makes
+ * restoring a snapshot restart the worker, which replaces its bindings. */
+const config = {
+  main: './test/worker/worker.js',
+  compatibility_date: '2025-09-27',
+  kv_namespaces: [{ binding: 'KV_CONFIG', id: 'harness-kv' }],
+  durable_objects: {
+    bindings: [{ name: 'DO_COUNTER', class_name: 'Counter' }]
+  }
+};
+
+
+/******************************************************************************/
+
+
+export default Collection`Test Worker Harness`({
+  /* This section tests that a test worker can be created and used without an
+   * Aegis context. */
+  "Worker Handle": async ({ runScope }) => {
+    const worker = await createTestWorker(config);
+
+    $check`The handle provides the worker and its helpers`
+      .value(worker)
+      .isObject($.env)
+      .isObject($.workers)
+      .eq($.isServerListening, false)
+      .isFunction($.fetch)
+      .isFunction($.snapshot)
+      .isFunction($.restore)
+      .isFunction($.resetStorage)
+      .isFunction($.scheduled)
+      .isFunction($.dispose);
+
+    await $check`Requests can be made to the worker`
+      .call(async () => {
+        const response = await worker.fetch('/test');
+        return response.text();
+      })
+      .eq($, 'Hello World');
+
+    await $check`Restoring a snapshot refreshes the bindings`
+      .call(async () => {
+        const snapshot = await worker.snapshot();
+        const before = worker.env;
+        await worker.env.KV_CONFIG.put('key', 'changed');
+        await worker.restore(snapshot);
+        return {
+          replaced: worker.env !== before,
+          shared: worker.workers.main.env === worker.env,
+          value: await worker.env.KV_CONFIG.get('key')
+        };
+      })
+      .eq($.replaced, true)
+      .eq($.shared, true)
+      .eq($.value, null);
+
+    await $check`The worker can be disposed of more than once`
+      .call(async () => {
+        await worker.dispose();
+        await worker.dispose();
+        return true;
+      })
+      .eq($, true);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that the Aegis helpers populate the context from the
+   * handle, and keep it up to date. */
+  "Aegis Context": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, config);
+
+    $check`The context does not get the dispose function`
+      .value(ctx)
+      .isObject($.env)
+      .isFunction($.fetch)
+      .eq($.dispose, undefined);
+
+    await $check`Restoring a snapshot refreshes the context`
+      .call(async () => {
+        const snapshot = await ctx.snapshot();
+        const before = ctx.env;
+        await ctx.restore(snapshot);
+        return {
+          replaced: ctx.env !== before,
+          shared: ctx.workers.main.env === ctx.env
+        };
+      })
+      .eq($.replaced, true)
+      .eq($.shared, true);
+
+    await aegisTeardown(ctx);
+
+    $check`Teardown removes the worker`
+      .value(ctx)
+      .eq($.worker, undefined)
+      .eq($.env, undefined);
+  },
+});
+
+
+/******************************************************************************/
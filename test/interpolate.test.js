@@ -0,0 +1,160 @@
+/******************************************************************************/
+
+
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { aegisSetup, aegisTeardown } from "../lib/index.js";
+import { interpolateConfig } from "../lib/interpolate.js";
+
+
+/******************************************************************************/
+
+
+// Dynamically generate a configuration file that uses references, along with
+// a test variables file that provides some of them.
+const testDir = path.resolve(process.cwd(), 'test/interpolateTest');
+fs.mkdirSync(testDir, { recursive: true });
+
+fs.writeFileSync(path.join(testDir, 'wrangler.jsonc'), JSON.stringify({
+  name: "interpolate-test",
+  d1_databases: [
+    { binding: "DB", database_id: "${CF_AEGIS_TEST_DB_ID}" }
+  ],
+  vars: {
+    FROM_FILE: "file:${FILE_VAR}",
+    FROM_PROCESS: "process:${CF_AEGIS_TEST_PROCESS_VAR}",
+    DEFAULTED: "${CF_AEGIS_TEST_MISSING:-fallback}"
+  },
+  env: {
+    production: {
+      d1_databases: [
+        { binding: "DB", database_id: "${CF_AEGIS_TEST_PROD_DB_ID}" }
+      ]
+    }
+  }
+}, null, 2));
+
+fs.writeFileSync(path.join(testDir, '.test.vars'), `
+FILE_VAR="from-file"
+CF_AEGIS_TEST_DB_ID="db-from-file"
+`.trim());
+
+
+/******************************************************************************/
+
+
+export default Collection`Configuration Interpolation`({
+  /* This section tests the expansion of references in configuration values. */
+  "Expanding References": async ({ runScope }) => {
+    const variables = { DB_ID: 'abc123', PORT: '9100', EMPTY: '' };
+
+    $check`References are expanded throughout the configuration`
+      .value(interpolateConfig({
+        main: './worker.js',
+        d1_databases: [{ binding: 'DB', database_id: '${DB_ID}' }],
+        vars: { URL: 'https://${DB_ID}.example.com/', PORT: '${PORT}' },
+        dev: { port: '${PORT}', hostname: 'localhost' },
+        compatibility_flags: ['${MISSING:-nodejs_compat}']
+      }, variables))
+      .deepEquals($, {
+        main: './worker.js',
+        d1_databases: [{ binding: 'DB', database_id: 'abc123' }],
+        vars: { URL: 'https://abc123.example.com/', PORT: '9100' },
+        dev: { port: 9100, hostname: 'localhost' },
+        compatibility_flags: ['nodejs_compat']
+      });
+
+    $check`Defaults are used for variables that are missing or empty`
+      .value(interpolateConfig({ a: '${MISSING:-one}', b: '${EMPTY:-two}', c: '${EMPTY}', d: '${MISSING:-}' }, variables))
+      .deepEquals($, { a: 'one', b: 'two', c: '', d: '' });
+
+    $check`Unresolved references are an error`
+      .value((() => {
+        try {
+          interpolateConfig({ main: '${MAIN}', queues: { producers: [{ queue: '${QUEUE}' }] } }, variables);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })())
+      .eq($, "unresolved variable reference(s) in configuration: '${MAIN}' in 'main', " +
+             "'${QUEUE}' in 'queues.producers[0].queue'");
+
+    const envConfig = {
+      vars: { MODE: '${MODE}' },
+      env: {
+        staging: { vars: { MODE: 'staging-${DB_ID}' } },
+        production: { vars: { MODE: '${PROD_MODE}' } }
+      }
+    };
+
+    $check`Only the block for the target environment is expanded`
+      .value(interpolateConfig(envConfig, { ...variables, MODE: 'top' }, 'staging'))
+      .deepEquals($, {
+        vars: { MODE: 'top' },
+        env: {
+          staging: { vars: { MODE: 'staging-abc123' } },
+          production: { vars: { MODE: '${PROD_MODE}' } }
+        }
+      });
+
+    $check`Unresolved references in the target environment are an error`
+      .value((() => {
+        try {
+          interpolateConfig(envConfig, { ...variables, MODE: 'top' }, 'production');
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })())
+      .eq($, "unresolved variable reference(s) in configuration: '${PROD_MODE}' in 'env.production.vars.MODE'");
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that the setup helper interpolates the configuration
+   * only when asked to, using both the test variables and process.env. */
+  "Setup Integration": async ({ runScope }) => {
+    process.env.CF_AEGIS_TEST_PROCESS_VAR = 'from-process';
+
+    try {
+      const ctx = {};
+      await aegisSetup(ctx, './test/interpolateTest/wrangler.jsonc', { interpolate: true });
+
+      $check`Environments other than the target are not expanded`
+        .value(ctx.worker !== undefined)
+        .eq($, true);
+
+      $check`Variables come from the test variables and the process`
+        .value(ctx.env)
+        .eq($.FROM_FILE, 'file:from-file')
+        .eq($.FROM_PROCESS, 'process:from-process')
+        .eq($.DEFAULTED, 'fallback');
+
+      await $check`Bindings use the interpolated values`
+        .call(async () => {
+          const result = await ctx.env.DB.prepare('SELECT 1 AS one').first();
+          return result.one;
+        })
+        .eq($, 1);
+
+      await aegisTeardown(ctx);
+
+      await aegisSetup(ctx, './test/interpolateTest/wrangler.jsonc');
+      $check`Without the option, references are left alone`
+        .value(ctx.env)
+        .eq($.DEFAULTED, '${CF_AEGIS_TEST_MISSING:-fallback}');
+      await aegisTeardown(ctx);
+    } finally {
+      delete process.env.CF_AEGIS_TEST_PROCESS_VAR;
+    }
+  },
+});
+
+
+/******************************************************************************/
@@ -0,0 +1,130 @@
+/******************************************************************************/
+
+
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { aegisSetup, aegisTeardown } from "../lib/index.js";
+import { createLogger } from "../lib/logger.js";
+
+
+/******************************************************************************/
+
+
+/* Create a sink function that records every message that is logged to it into
+ * the given array, as a "level: message" string. */
+function recordTo(messages) {
+  return (level, message) => messages.push(`${level}: ${message}`);
+}
+
+
+/******************************************************************************/
+
+
+export default Collection`Diagnostic Logging`({
+  /* This section tests that loggers only emit messages at or above their
+   * level, and that the option is validated. */
+  "Log Levels": async ({ runScope }) => {
+    // Log one message at every level to a logger created with the given
+    // option, returning what was logged.
+    const logAll = (level) => {
+      const messages = [];
+      const logger = createLogger({ level, sink: recordTo(messages) });
+      logger.error('e');
+      logger.warn('w');
+      logger.info('i');
+      logger.debug('d');
+      return messages;
+    };
+
+    $check`Each level includes the levels before it`
+      .value({
+        silent: logAll('silent'),
+        error: logAll('error'),
+        warn: logAll('warn'),
+        info: logAll('info'),
+        debug: logAll('debug')
+      })
+      .deepEquals($.silent, [])
+      .deepEquals($.error, ['error: e'])
+      .deepEquals($.warn, ['error: e', 'warn: w'])
+      .deepEquals($.info, ['error: e', 'warn: w', 'info: i'])
+      .deepEquals($.debug, ['error: e', 'warn: w', 'info: i', 'debug: d']);
+
+    const messages = [];
+    const sinkOnly = createLogger(recordTo(messages));
+    sinkOnly.info('shown');
+    sinkOnly.debug('hidden');
+    $check`A sink function logs at the info level`
+      .value({ level: sinkOnly.level, messages })
+      .eq($.level, 'info')
+      .deepEquals($.messages, ['info: shown']);
+
+    $check`Invalid options are rejected`
+      .value([
+        () => createLogger('loud'),
+        () => createLogger(42),
+        () => createLogger({ sink: 'console' })
+      ].map(create => {
+        try {
+          create();
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      }))
+      .deepEquals($, [
+        "'loud' is not a valid log level; use one of silent, error, warn, info, debug",
+        'the logger option must be a level, a sink function or an object',
+        'the sink for the logger must be a function'
+      ]);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that the setup helper sends its diagnostics to the
+   * logger it is given. */
+  "Setup Diagnostics": async ({ runScope }) => {
+    const config = {
+      routes: ['example.com/*'],
+      vars: { API_VERSION: 'v1', API_TOKEN: 'hunter2' },
+      services: [{ binding: 'AUTH', service: 'auth-service' }]
+    };
+
+    const messages = [];
+    const ctx = {};
+    await aegisSetup(ctx, config, { logger: recordTo(messages) });
+    await aegisTeardown(ctx);
+
+    $check`Diagnostics go to the sink at their levels`
+      .value(messages)
+      .deepEquals($, [
+        "warn: <inline config>: 'routes' is not supported by cf-aegis and will be ignored",
+        "warn: no mock provided for service 'auth-service'; applying default mock"
+      ]);
+
+    const errorsOnly = [];
+    await aegisSetup(ctx, config, { logger: { level: 'error', sink: recordTo(errorsOnly) } });
+    await aegisTeardown(ctx);
+
+    $check`Diagnostics below the level are not logged`
+      .value(errorsOnly)
+      .deepEquals($, []);
+
+    const debug = [];
+    await aegisSetup(ctx, config, { logger: { level: 'debug', sink: recordTo(debug) } });
+    await aegisTeardown(ctx);
+
+    const dump = debug.find(message => message.startsWith('debug: miniflare options:'));
+    const options = JSON.parse(dump.slice('debug: miniflare options:'.length));
+    $check`The debug level dumps the Miniflare options with secrets redacted`
+      .value(options.workers.find(worker => worker.name === 'main'))
+      .eq($.bindings.API_VERSION, 'v1')
+      .eq($.bindings.API_TOKEN, '[redacted]')
+      .eq($.serviceBindings.AUTH, 'cf-aegis-recorder-auth-service');
+  },
+});
+
+
+/******************************************************************************/
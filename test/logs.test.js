@@ -0,0 +1,119 @@
+/******************************************************************************/
+
+
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { aegisSetup, aegisTeardown } from "../lib/index.js";
+
+
+/******************************************************************************/
+
+
+/* The configuration used for the tests in this file. */
+const config = {
+  main: './test/worker/worker.js',
+  compatibility_date: '2025-09-27',
+  services: [
+    { binding: 'LOG_SERVICE', service: 'log-service' }
+  ]
+};
+
+/* The mocks used for the tests in this file; the service logs every request
+ * that it receives. */
+const workerMocks = {
+  'log-service': {
+    script: `
+      export default {
+        fetch(request) {
+          console.log(\`log-service received a request for: \${request.url}\`);
+          return new Response('logged');
+        }
+      }
+    `
+  }
+};
+
+
+/******************************************************************************/
+
+
+export default Collection`Worker Log Capture`({
+  /* This section tests that the console output of the main worker and the
+   * mocked services is captured, and that it can be cleared. */
+  "Captured Output": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, config, { captureLogs: true, workerMocks });
+
+    $check`Captured logs start out empty`
+      .value(ctx.logs)
+      .isArray($.entries)
+      .keyCount($.entries, 0)
+      .isFunction($.clear)
+      .isFunction($.settle);
+
+    await $check`Console output of the main worker is captured`
+      .call(async () => {
+        await ctx.fetch('/log?message=hello%20there');
+        await ctx.fetch('/log?message=look%20out&level=warn');
+        await ctx.logs.settle();
+        return ctx.logs.entries;
+      })
+      .keyCount($, 2)
+      .eq($[0].level, 'log')
+      .eq($[0].worker, 'main')
+      .eq($[0].message, 'hello there {"level":"log"}')
+      .eq($[1].level, 'warn')
+      .eq($[1].message, 'look out {"level":"warn"}');
+
+    $check`Captured entries are timestamped`
+      .value(ctx.logs.entries[0].timestamp instanceof Date)
+      .eq($, true);
+
+    await $check`Console output of mocked services is captured`
+      .call(async () => {
+        await ctx.env.LOG_SERVICE.fetch('http://log/entry');
+        await ctx.logs.settle();
+        return ctx.logs.entries;
+      })
+      .keyCount($, 3)
+      .eq($[2].worker, 'log-service');
+
+    $check`Messages can be checked for`
+      .value(ctx.logs)
+      .wasLogged($, 'hello there')
+      .wasLogged($, /^look out/, { level: 'warn' })
+      .wasLogged($, 'http://log/entry', { worker: 'log-service' })
+      .wasNotLogged($, 'hello there', { level: 'error' })
+      .wasNotLogged($, 'look out', { worker: 'log-service' })
+      .wasNotLogged($, 'goodbye');
+
+    await $check`Captured logs can be cleared`
+      .call(async () => {
+        ctx.logs.clear();
+        return ctx.logs;
+      })
+      .keyCount($.entries, 0)
+      .wasNotLogged($, 'hello there');
+
+    await aegisTeardown(ctx);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that logs are only captured when asked for. */
+  "Capture Disabled": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, config);
+
+    $check`Without the option, no logs are provided`
+      .value(ctx.logs)
+      .eq($, undefined);
+
+    await aegisTeardown(ctx);
+  },
+});
+
+
+/******************************************************************************/
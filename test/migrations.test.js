@@ -0,0 +1,123 @@
+/******************************************************************************/
+
+
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { aegisSetup, aegisTeardown } from "../lib/index.js";
+import { splitSqlStatements } from "../lib/migrations.js";
+
+
+/******************************************************************************/
+
+
+/* The configuration used for the integration tests in this file; the database
+ * points to a folder of migrations in the test worker folder. */
+const config = {
+  d1_databases: [{
+    binding: 'DB',
+    database_name: 'migration-db',
+    database_id: 'migration-db-id',
+    migrations_dir: './test/worker/d1_migrations'
+  }]
+};
+
+
+/******************************************************************************/
+
+
+export default Collection`D1 Migrations`({
+  /* This section tests that SQL files are split into statements correctly,
+   * respecting strings, comments and trigger bodies. */
+  "Statement Splitting": ({ runScope }) => {
+    $check`Simple statements are split on semicolons`
+      .value(splitSqlStatements(`SELECT 1;\nSELECT 2;`))
+      .deepEquals($, ['SELECT 1', 'SELECT 2']);
+
+    $check`Trailing statement without a semicolon is kept`
+      .value(splitSqlStatements(`SELECT 1;\nSELECT\n  2`))
+      .deepEquals($, ['SELECT 1', 'SELECT\n  2']);
+
+    $check`Semicolons inside of strings do not split`
+      .value(splitSqlStatements(`INSERT INTO t VALUES ('a;b', 'it''s;');`))
+      .deepEquals($, [`INSERT INTO t VALUES ('a;b', 'it''s;')`]);
+
+    $check`Comments are removed`
+      .value(splitSqlStatements(`-- first;\nSELECT 1; /* second; */ SELECT 2;`))
+      .deepEquals($, ['SELECT 1', 'SELECT 2']);
+
+    $check`Trigger bodies are kept together`
+      .value(splitSqlStatements(`CREATE TRIGGER t AFTER INSERT ON x BEGIN SELECT 1; SELECT 2; END; SELECT 3;`))
+      .deepEquals($, ['CREATE TRIGGER t AFTER INSERT ON x BEGIN SELECT 1; SELECT 2; END', 'SELECT 3']);
+
+    $check`CASE expressions inside of trigger bodies do not end them`
+      .value(splitSqlStatements(
+        `CREATE TRIGGER t AFTER UPDATE ON x BEGIN\n` +
+        `  UPDATE x SET flag = CASE WHEN new.n > 0 THEN 1 ELSE 0 END;\n` +
+        `  UPDATE x SET legend = 'the END;' WHERE weekend = 1;\n` +
+        `END;\nSELECT 1;`
+      ))
+      .deepEquals($, [
+        `CREATE TRIGGER t AFTER UPDATE ON x BEGIN\n` +
+        `  UPDATE x SET flag = CASE WHEN new.n > 0 THEN 1 ELSE 0 END;\n` +
+        `  UPDATE x SET legend = 'the END;' WHERE weekend = 1;\n` +
+        `END`,
+        'SELECT 1'
+      ]);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that migrations are applied in order when the worker is
+   * set up, and that they are recorded as having been applied. */
+  "Migrations Applied On Setup": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, config);
+
+    await $check`Migrations are recorded in order`
+      .call(async () => {
+        const { results } = await ctx.env.DB.prepare(`SELECT name FROM d1_migrations ORDER BY id`).all();
+        return results.map(row => row.name);
+      })
+      .deepEquals($, ['0001_create_users.sql', '0002_create_audit.sql']);
+
+    await $check`Seed data from a migration is present`
+      .call(async () => await ctx.env.DB.prepare(`SELECT * FROM users`).first())
+      .eq($.name, 'alice')
+      .eq($.motto, 'one; two');
+
+    await $check`Triggers defined in a migration are functional`
+      .call(async () => {
+        await ctx.env.DB.prepare(`INSERT INTO users (name) VALUES (?)`).bind('bob').run();
+        return await ctx.env.DB.prepare(`SELECT message FROM audit`).first();
+      })
+      .eq($.message, 'added bob');
+
+    await aegisTeardown(ctx);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that migrations can be turned off. */
+  "Migrations Disabled": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, config, { applyMigrations: false });
+
+    await $check`No tables were created`
+      .call(async () => {
+        const { results } = await ctx.env.DB.prepare(
+          `SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('users', 'd1_migrations')`
+        ).all();
+        return results;
+      })
+      .keyCount($, 0);
+
+    await aegisTeardown(ctx);
+  },
+});
+
+
+/******************************************************************************/
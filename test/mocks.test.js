@@ -0,0 +1,130 @@
+/******************************************************************************/
+
+
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { aegisSetup, aegisTeardown } from "../lib/index.js";
+
+
+/******************************************************************************/
+
+
+/* The configuration used for the tests in this file; one of the services has a
+ * mock provided for it, while the other uses the default mock. */
+const config = {
+  services: [
+    { binding: 'AUTH_SERVICE', service: 'auth-service' },
+    { binding: 'LOG_SERVICE', service: 'log-service' }
+  ]
+};
+
+const workerMocks = {
+  'auth-service': {
+    script: `export default { fetch: () => new Response('authorized') }`
+  }
+};
+
+
+/******************************************************************************/
+
+
+export default Collection`Service Mock Recording`({
+  /* This section tests that requests made to mocked services are recorded and
+   * that the recording can be cleared. */
+  "Recorded Calls": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, config, { workerMocks });
+
+    $check`Every service has a mock record`
+      .value(ctx.mocks)
+      .keyCount($, 2)
+      .isArray($['auth-service'].calls)
+      .isFunction($['auth-service'].clear)
+      .isArray($['log-service'].calls);
+
+    await $check`Requests are passed through to the mock`
+      .call(async () => {
+        const auth = await ctx.env.AUTH_SERVICE.fetch('http://auth/login?user=bob', {
+          method: 'POST',
+          headers: { 'X-Test': 'yes' },
+          body: 'credentials'
+        });
+        const log = await ctx.env.LOG_SERVICE.fetch('http://log/entry');
+        return { auth: await auth.text(), log: log.status };
+      })
+      .eq($.auth, 'authorized')
+      .eq($.log, 404);
+
+    $check`Requests to the provided mock are recorded`
+      .value(ctx.mocks['auth-service'].calls)
+      .keyCount($, 1)
+      .eq($[0].method, 'POST')
+      .eq($[0].url, 'http://auth/login?user=bob')
+      .eq($[0].headers['x-test'], 'yes')
+      .eq($[0].body, 'credentials');
+
+    $check`Requests to the default mock are recorded`
+      .value(ctx.mocks['log-service'].calls)
+      .keyCount($, 1)
+      .eq($[0].method, 'GET')
+      .eq($[0].url, 'http://log/entry')
+      .eq($[0].body, null);
+
+    await $check`Recorded calls can be cleared`
+      .call(async () => {
+        ctx.mocks['auth-service'].clear();
+        return ctx.mocks;
+      })
+      .keyCount($['auth-service'].calls, 0)
+      .keyCount($['log-service'].calls, 1);
+
+    await aegisTeardown(ctx);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that a mock can be a function in the test, which can
+   * see the state of the test and be replaced between requests. */
+  "Function Mocks": async ({ runScope }) => {
+    let user = 'bob';
+    const functionMocks = {
+      'auth-service': {
+        fetch: async (request) => new Response(`${request.method} ${user}`)
+      }
+    };
+
+    const ctx = {};
+    await aegisSetup(ctx, config, { workerMocks: functionMocks });
+
+    await $check`Function mocks handle requests`
+      .call(async () => {
+        const first = await (await ctx.env.AUTH_SERVICE.fetch('http://auth/')).text();
+        user = 'carol';
+        const second = await (await ctx.env.AUTH_SERVICE.fetch('http://auth/', { method: 'POST' })).text();
+        return { first, second };
+      })
+      .eq($.first, 'GET bob')
+      .eq($.second, 'POST carol');
+
+    await $check`Function mocks can be replaced`
+      .call(async () => {
+        functionMocks['auth-service'].fetch = () => new Response('replaced', { status: 403 });
+        const response = await ctx.env.AUTH_SERVICE.fetch('http://auth/');
+        return { status: response.status, body: await response.text() };
+      })
+      .eq($.status, 403)
+      .eq($.body, 'replaced');
+
+    await $check`Requests to function mocks are recorded`
+      .call(async () => ctx.mocks['auth-service'].calls)
+      .keyCount($, 3)
+      .eq($[1].method, 'POST');
+
+    await aegisTeardown(ctx);
+  },
+});
+
+
+/******************************************************************************/
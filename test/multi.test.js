@@ -0,0 +1,153 @@
+/******************************************************************************/
+
+
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { aegisSetup, aegisTeardown } from "../lib/index.js";
+
+
+/******************************************************************************/
+
+
+/* The configurations of a project made up of three workers; the gateway is the
+ * main worker, and calls the API worker, which in turn calls the auth worker. */
+const configs = [
+  './test/worker/multi/gateway/wrangler.jsonc',
+  './test/worker/multi/api/wrangler.toml',
+  './test/worker/multi/auth/wrangler.json'
+];
+
+
+/******************************************************************************/
+
+
+export default Collection`Multiple Workers`({
+  /* This section tests that every configuration becomes a real worker, and that
+   * they are bound to each other by name. */
+  "Project Workers": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, configs);
+
+    $check`Every worker is provided by name`
+      .value(ctx.workers)
+      .keyCount($, 3)
+      .isObject($.gateway.env)
+      .isObject($.api.env)
+      .isObject($.auth.env);
+
+    $check`The main worker shares the bindings of the context`
+      .value(ctx.workers.gateway.env === ctx.env)
+      .eq($, true);
+
+    $check`Each worker has its own bindings and variables`
+      .value(ctx.workers)
+      .eq($.gateway.env.API_KV, undefined)
+      .eq($.gateway.env.API_NAME, undefined)
+      .eq($.api.env.API_NAME, 'from-test-vars')
+      .eq($.auth.env.REALM, 'test-realm')
+      .eq($.auth.env.CF_AEGIS, 'true');
+
+    await $check`Requests flow through the workers`
+      .call(async () => {
+        const response = await ctx.fetch('/profile?user=bob');
+        return response.text();
+      })
+      .eq($, 'gateway > api (from-test-vars) > auth bob@test-realm');
+
+    await $check`Workers can use their own storage`
+      .call(async () => ctx.workers.api.env.API_KV.get('last-user'))
+      .eq($, 'auth bob@test-realm');
+
+    await $check`Workers can bind to the main worker by its name`
+      .call(async () => {
+        const response = await ctx.fetch('/caller');
+        return response.text();
+      })
+      .eq($, 'gateway > api (from-test-vars) > gateway');
+
+    await $check`Services that are not workers are still mocked`
+      .call(async () => {
+        const response = await ctx.fetch('/billing');
+        return { status: response.status, mocks: Object.keys(ctx.mocks) };
+      })
+      .eq($.status, 404)
+      .deepEquals($.mocks, ['billing']);
+
+    await aegisTeardown(ctx);
+
+    await aegisSetup(ctx, [configs[0], configs[1], {
+      name: 'auth',
+      main: './test/worker/multi/auth/worker.js',
+      compatibility_date: '2025-09-27',
+      services: [{ binding: 'AUDIT', service: 'audit' }]
+    }]);
+
+    await $check`Calls to services that only other workers use are recorded`
+      .call(async () => {
+        await ctx.workers.auth.env.AUDIT.fetch('http://audit/entry');
+        return { mocks: Object.keys(ctx.mocks).sort(), calls: ctx.mocks.audit.calls.map(call => call.url) };
+      })
+      .deepEquals($.mocks, ['audit', 'billing'])
+      .deepEquals($.calls, ['http://audit/entry']);
+
+    await aegisTeardown(ctx);
+
+    $check`Teardown removes the workers`
+      .value(ctx.workers)
+      .eq($, undefined);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that a single configuration is also provided as a
+   * worker, and that the workers must be named distinctly. */
+  "Worker Names": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, { vars: { SOLO: 'yes' } });
+
+    $check`A lone unnamed worker is named main`
+      .value(ctx.workers)
+      .keyCount($, 1)
+      .eq($.main.env.SOLO, 'yes');
+
+    await aegisTeardown(ctx);
+
+    await $check`Other workers must have a name`
+      .call(async () => {
+        try {
+          await aegisSetup(ctx, [configs[0], { vars: {} }]);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })
+      .eq($, `the configuration in '<inline config>' must have a name to be used as one of several workers`);
+
+    await $check`Worker names must be distinct`
+      .call(async () => {
+        try {
+          await aegisSetup(ctx, [configs[0], configs[1], { name: 'api' }]);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })
+      .eq($, `there is more than one worker named 'api'`);
+
+    await $check`The list of configurations cannot be empty`
+      .call(async () => {
+        try {
+          await aegisSetup(ctx, []);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })
+      .eq($, 'the list of configurations must not be empty');
+  },
+});
+
+
+/******************************************************************************/
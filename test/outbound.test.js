@@ -0,0 +1,140 @@
+/******************************************************************************/
+
+
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { aegisSetup, aegisTeardown } from "../lib/index.js";
+
+
+/******************************************************************************/
+
+
+/* The configuration used for the tests in this file. */
+const config = {
+  main: './test/worker/worker.js',
+  compatibility_date: '2025-09-27'
+};
+
+
+/* Ask the worker to make an outbound request to the given target URL, and
+ * return the text of its report on what the response was. */
+async function outboundVia(ctx, target, init) {
+  const response = await ctx.fetch(`/outbound?target=${encodeURIComponent(target)}`, init);
+  return response.text();
+}
+
+
+/******************************************************************************/
+
+
+export default Collection`Outbound Request Mocking`({
+  /* This section tests that outbound requests can be handled by a function
+   * in the test, and that they are recorded. */
+  "Handler Function": async ({ runScope }) => {
+    let greeting = 'hello';
+    const ctx = {};
+    await aegisSetup(ctx, config, {
+      outbound: async (request) => new Response(`${greeting} from ${new URL(request.url).hostname}`)
+    });
+
+    await $check`Outbound requests go to the handler`
+      .call(async () => {
+        const first = await outboundVia(ctx, 'https://api.example.com/users');
+        greeting = 'goodbye';
+        const second = await outboundVia(ctx, 'https://other.example.com/', { method: 'POST', body: 'data' });
+        return { first, second };
+      })
+      .eq($.first, '200 hello from api.example.com')
+      .eq($.second, '200 goodbye from other.example.com');
+
+    await $check`Outbound requests are recorded`
+      .call(async () => ctx.outbound.calls)
+      .keyCount($, 2)
+      .eq($[0].method, 'GET')
+      .eq($[0].url, 'https://api.example.com/users')
+      .eq($[0].body, null)
+      .eq($[1].method, 'POST')
+      .eq($[1].body, 'data');
+
+    await $check`Recorded outbound requests can be cleared`
+      .call(async () => {
+        ctx.outbound.clear();
+        return ctx.outbound.calls;
+      })
+      .keyCount($, 0);
+
+    await aegisTeardown(ctx);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that outbound requests can be handled by a table of
+   * routes, and that requests that match no route fail. */
+  "Route Table": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, config, {
+      outbound: [
+        { method: 'GET', url: 'https://api.example.com/users/*', response: { body: { name: 'alice' } } },
+        { method: 'post', url: /^https:\/\/api\.example\.com\/users$/, response: { status: 201, body: 'created' } },
+        { url: 'https://api.example.com/echo', response: async (request) => new Response(await request.text()) }
+      ]
+    });
+
+    await $check`Requests are answered by the matching route`
+      .call(async () => ({
+        user: await outboundVia(ctx, 'https://api.example.com/users/1'),
+        created: await outboundVia(ctx, 'https://api.example.com/users', { method: 'POST', body: '{}' }),
+        echo: await outboundVia(ctx, 'https://api.example.com/echo', { method: 'PUT', body: 'echoed' })
+      }))
+      .eq($.user, '200 {"name":"alice"}')
+      .eq($.created, '201 created')
+      .eq($.echo, '200 echoed');
+
+    await $check`Requests that match no route fail`
+      .call(async () => {
+        const method = await outboundVia(ctx, 'https://api.example.com/users/1', { method: 'DELETE' });
+        const url = await outboundVia(ctx, 'https://api.example.com/other');
+        return {
+          method: method.startsWith('500 Error: no outbound route matches DELETE https://api.example.com/users/1'),
+          url: url.startsWith('500 Error: no outbound route matches GET https://api.example.com/other')
+        };
+      })
+      .eq($.method, true)
+      .eq($.url, true);
+
+    await $check`Unmatched requests are still recorded`
+      .call(async () => ctx.outbound.calls)
+      .keyCount($, 5);
+
+    await aegisTeardown(ctx);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that the outbound option is validated. */
+  "Validation": async ({ runScope }) => {
+    const ctx = {};
+
+    await $check`An invalid outbound option is rejected`
+      .call(async () => {
+        try {
+          await aegisSetup(ctx, config, { outbound: 'nope' });
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })
+      .eq($, 'the outbound option must be a function or an array of routes');
+
+    $check`Without the option, no outbound record is provided`
+      .value(ctx.outbound)
+      .eq($, undefined);
+  },
+});
+
+
+/******************************************************************************/
@@ -0,0 +1,236 @@
+/******************************************************************************/
+
+
+import { Collection, $check, $ } from "@axel669/aegis";
+import { spawnSync } from "child_process";
+
+import { aegisSetup, aegisTeardown, disposeWorkerPool } from "../lib/index.js";
+
+
+/******************************************************************************/
+
+
+/* The configuration used for the tests in this file; the database uses the
+ * test migrations so that there is a table to seed rows into. */
+const config = {
+  main: './test/worker/worker.js',
+  compatibility_date: '2025-09-27',
+  kv_namespaces: [{ binding: 'KV_CONFIG', id: 'pool-kv' }],
+  d1_databases: [{
+    binding: 'DB',
+    database_name: 'pool-db',
+    database_id: 'pool-db-id',
+    migrations_dir: './test/worker/d1_migrations'
+  }],
+  services: [
+    { binding: 'LOG_SERVICE', service: 'log-service' }
+  ]
+};
+
+/* The options used for the pooled workers in this file. */
+const options = {
+  pool: true,
+  fixtures: {
+    kv: { KV_CONFIG: [{ key: 'seeded', value: 'fixture' }] },
+    d1: { DB: [{ table: 'users', rows: [{ name: 'frank', motto: 'pooled' }] }] }
+  }
+};
+
+/* A script that uses a pooled worker twice and never disposes of the pool, run
+ * in a separate process to see that the idle worker does not keep it alive. */
+const idleScript = `
+  import { aegisSetup, aegisTeardown } from ${JSON.stringify(new URL('../lib/index.js', import.meta.url).href)};
+  const config = { main: './test/worker/worker.js', compatibility_date: '2025-09-27' };
+  const ctx = {};
+  await aegisSetup(ctx, config, { pool: true });
+  await aegisTeardown(ctx);
+  await aegisSetup(ctx, config, { pool: true });
+  console.log(await (await ctx.fetch('/test')).text());
+  await aegisTeardown(ctx);
+`;
+
+
+/******************************************************************************/
+
+
+/* Gather up the parts of the storage of the given context that the tests in
+ * this file change. */
+async function gatherState(ctx) {
+  const { results } = await ctx.env.DB.prepare(`SELECT name FROM users ORDER BY id`).all();
+  return {
+    seeded: await ctx.env.KV_CONFIG.get('seeded'),
+    extra: await ctx.env.KV_CONFIG.get('extra'),
+    users: results.map(row => row.name)
+  };
+}
+
+
+/******************************************************************************/
+
+
+export default Collection`Worker Pooling`({
+  /* This section tests that a pooled worker is reused by later setups with the
+   * same configuration, and that it is reset in between. */
+  "Pooled Workers": async ({ runScope }) => {
+    const first = {};
+    await aegisSetup(first, config, options);
+    const worker = first.worker;
+
+    await first.env.KV_CONFIG.put('extra', 'value');
+    await first.env.DB.prepare(`INSERT INTO users (name) VALUES ('grace')`).run();
+    await first.env.LOG_SERVICE.fetch('http://log/entry');
+    await aegisTeardown(first);
+
+    const second = {};
+    await aegisSetup(second, config, options);
+
+    $check`The same configuration reuses the worker`
+      .value(second.worker === worker)
+      .eq($, true);
+
+    await $check`The storage of a reused worker is reset and prepared again`
+      .call(async () => gatherState(second))
+      .eq($.seeded, 'fixture')
+      .eq($.extra, null)
+      .deepEquals($.users, ['alice', 'frank']);
+
+    $check`The calls recorded by the previous user are discarded`
+      .value(second.mocks['log-service'].calls)
+      .keyCount($, 0);
+
+    const third = {};
+    await aegisSetup(third, config, options);
+
+    $check`A worker that is in use is not shared`
+      .value(third.worker !== worker)
+      .eq($, true);
+
+    await aegisTeardown(third);
+
+    $check`A worker that is not pooled is disposed of`
+      .value(third.worker)
+      .eq($, undefined);
+
+    await aegisTeardown(second);
+    await disposeWorkerPool();
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests which setups share a pooled worker. */
+  "Pool Keys": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, config, options);
+    const worker = ctx.worker;
+    await ctx.env.KV_CONFIG.put('extra', 'kept');
+    await aegisTeardown(ctx);
+
+    await aegisSetup(ctx, config, { ...options, resetPooledStorage: false });
+
+    await $check`The storage can be kept when reusing a worker`
+      .call(async () => ({ same: ctx.worker === worker, ...await gatherState(ctx) }))
+      .eq($.same, true)
+      .eq($.extra, 'kept');
+
+    await aegisTeardown(ctx);
+
+    await aegisSetup(ctx, { ...config, vars: { CHANGED: 'yes' } }, options);
+
+    $check`A different configuration gets a different worker`
+      .value(ctx.worker !== worker)
+      .eq($, true);
+
+    await aegisTeardown(ctx);
+
+    await aegisSetup(ctx, config, { ...options, pool: false });
+
+    $check`A setup that is not pooled gets its own worker`
+      .value(ctx.worker !== worker)
+      .eq($, true);
+
+    await aegisTeardown(ctx);
+    await disposeWorkerPool();
+
+    await aegisSetup(ctx, config, options);
+
+    $check`Disposing of the pool disposes of its workers`
+      .value(ctx.worker !== worker)
+      .eq($, true);
+
+    await aegisTeardown(ctx);
+    await disposeWorkerPool();
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that workers whose mocks are functions are not pooled,
+   * since each setup needs its own functions to be called. */
+  "Function Mocks": async ({ runScope }) => {
+    const mockWith = token => ({
+      'log-service': { fetch: async () => new Response(token) }
+    });
+
+    const ctx = {};
+    await aegisSetup(ctx, config, { ...options, workerMocks: mockWith('first') });
+    const worker = ctx.worker;
+    await aegisTeardown(ctx);
+
+    await aegisSetup(ctx, config, { ...options, workerMocks: mockWith('second') });
+
+    await $check`Each setup gets a worker that calls its own mocks`
+      .call(async () => ({
+        same: ctx.worker === worker,
+        text: await (await ctx.env.LOG_SERVICE.fetch('http://log/entry')).text()
+      }))
+      .eq($.same, false)
+      .eq($.text, 'second');
+
+    await aegisTeardown(ctx);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that a pooled worker that is not in use stays in the
+   * pool, without keeping the process alive. */
+  "Idle Workers": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, config, options);
+    const worker = ctx.worker;
+    await aegisTeardown(ctx);
+
+    await new Promise(resolve => setTimeout(resolve, 1500));
+    await aegisSetup(ctx, config, options);
+
+    await $check`An idle worker is kept for reuse, and still works`
+      .call(async () => ({
+        same: ctx.worker === worker,
+        text: await (await ctx.fetch('/test')).text()
+      }))
+      .eq($.same, true)
+      .eq($.text, 'Hello World');
+
+    await aegisTeardown(ctx);
+    await disposeWorkerPool();
+
+    await $check`A pooled worker does not keep the process alive`
+      .call(async () => {
+        const result = spawnSync(process.execPath, ['--input-type=module', '-e', idleScript], {
+          encoding: 'utf8',
+          timeout: 60000
+        });
+        return { status: result.status, timedOut: result.error !== undefined, output: result.stdout.trim() };
+      })
+      .eq($.status, 0)
+      .eq($.timedOut, false)
+      .eq($.output, 'Hello World');
+  },
+});
+
+
+/******************************************************************************/
@@ -0,0 +1,115 @@
+/******************************************************************************/
+
+
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { aegisSetup, aegisTeardown } from "../lib/index.js";
+
+
+/******************************************************************************/
+
+
+/* The configuration used for the tests in this file; the main queue retries
+ * messages only once before moving them to the dead letter queue. */
+const config = {
+  main: './test/worker/worker.js',
+  compatibility_date: '2025-09-27',
+  kv_namespaces: [{ binding: 'KV_CONFIG', id: 'queue-kv' }],
+  queues: {
+    producers: [{ binding: 'QUEUE_MAIN', queue: 'work' }],
+    consumers: [
+      { queue: 'work', max_batch_size: 2, max_retries: 1, dead_letter_queue: 'dead' },
+      { queue: 'dead' }
+    ]
+  }
+};
+
+
+/******************************************************************************/
+
+
+export default Collection`Manual Queue Delivery`({
+  /* This section tests that messages are held until they are flushed, and that
+   * the flush reports what happened to each of them. */
+  "Flushing Queues": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, config, { queueDelivery: 'manual' });
+
+    // Send messages both from the worker and directly via the binding.
+    await ctx.fetch('/queue');
+    await ctx.env.QUEUE_MAIN.send({ retry: true });
+    await ctx.env.QUEUE_MAIN.sendBatch([{ body: 'last' }]);
+
+    await $check`Messages wait in the queue until flushed`
+      .call(async () => {
+        const pending = await ctx.queues.pending('work');
+        const delivered = await ctx.env.KV_CONFIG.get('queue-messages');
+        return { pending: pending.map(message => message.body), delivered };
+      })
+      .deepEquals($.pending, [
+        { url: 'http://localhost/queue', method: 'GET' },
+        { retry: true },
+        'last'
+      ])
+      .eq($.delivered, null);
+
+    await $check`Flush delivers batches and reports the results`
+      .call(async () => {
+        const report = await ctx.queues.flush('work');
+        return {
+          batches: report.batches,
+          acked: report.acked.map(message => message.body),
+          retried: report.retried.map(message => message.body),
+          deadLettered: report.deadLettered.map(message => message.attempts),
+          delivered: await ctx.env.KV_CONFIG.get('queue-messages', 'json'),
+          pending: await ctx.queues.pending('work'),
+          dead: await ctx.queues.pending('dead')
+        };
+      })
+      .eq($.batches, 2)
+      .deepEquals($.acked, [{ url: 'http://localhost/queue', method: 'GET' }, 'last'])
+      .deepEquals($.retried, [{ retry: true }])
+      .deepEquals($.deadLettered, [2])
+      .deepEquals($.delivered, ['last'])
+      .keyCount($.pending, 0)
+      .keyCount($.dead, 1);
+
+    await $check`Dead lettered messages can be flushed in turn`
+      .call(async () => ctx.queues.flush('dead'))
+      .eq($.batches, 4)
+      .keyCount($.acked, 0)
+      .keyCount($.deadLettered, 1);
+
+    await $check`Flushing a queue with no consumer throws`
+      .call(async () => {
+        try {
+          await ctx.queues.flush('missing');
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })
+      .eq($, `cannot flush queue 'missing'; it has no consumer`);
+
+    await aegisTeardown(ctx);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that the queue helpers only exist in manual mode. */
+  "Automatic Delivery": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, config);
+
+    $check`Queue helpers are not present`
+      .value(ctx.queues)
+      .eq($, undefined);
+
+    await aegisTeardown(ctx);
+  },
+});
+
+
+/******************************************************************************/
@@ -0,0 +1,167 @@
+/******************************************************************************/
+
+
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { aegisSetup, aegisTeardown, disposeWorkerPool } from "../lib/index.js";
+
+
+/******************************************************************************/
+
+
+/* The configuration used for the tests in this file; the service uses the
+ * default mock until a reload replaces it. */
+const config = {
+  main: './test/worker/worker.js',
+  compatibility_date: '2025-09-27',
+  vars: { MODE: 'initial' },
+  kv_namespaces: [{ binding: 'KV_CONFIG', id: 'reload-kv' }],
+  services: [
+    { binding: 'LOG_SERVICE', service: 'log-service' }
+  ]
+};
+
+/* The mocks used when reloading the worker. */
+const workerMocks = {
+  'log-service': {
+    script: `export default { fetch: () => new Response('reloaded mock') }`
+  }
+};
+
+
+/******************************************************************************/
+
+
+export default Collection`Worker Reloading`({
+  /* This section tests that reloading applies the overrides and mocks to the
+   * running worker, keeping its storage. */
+  "Reload": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, config);
+    const worker = ctx.worker;
+    const env = ctx.env;
+
+    await ctx.env.KV_CONFIG.put('key', 'kept');
+    await ctx.reload({
+      vars: { MODE: 'reloaded' },
+      kv_namespaces: [{ binding: 'KV_EXTRA', id: 'reload-extra' }]
+    });
+
+    $check`The same worker is reconfigured in place`
+      .value({ sameWorker: ctx.worker === worker, sameEnv: ctx.env === env })
+      .eq($.sameWorker, true)
+      .eq($.sameEnv, false);
+
+    await $check`The overrides are applied and the storage is kept`
+      .call(async () => ({
+        mode: ctx.env.MODE,
+        extra: ctx.env.KV_EXTRA !== undefined,
+        key: await ctx.env.KV_CONFIG.get('key')
+      }))
+      .eq($.mode, 'reloaded')
+      .eq($.extra, true)
+      .eq($.key, 'kept');
+
+    await $check`Requests go to the reloaded worker`
+      .call(async () => (await ctx.fetch('/test')).text())
+      .eq($, 'Hello World');
+
+    await $check`Mocks can be replaced`
+      .call(async () => {
+        await ctx.reload(undefined, { workerMocks });
+        const response = await ctx.env.LOG_SERVICE.fetch('http://log/entry');
+        return { text: await response.text(), mode: ctx.env.MODE, calls: ctx.mocks['log-service'].calls.length };
+      })
+      .eq($.text, 'reloaded mock')
+      .eq($.mode, 'initial')
+      .eq($.calls, 1);
+
+    await $check`Reloading with nothing restores the configuration`
+      .call(async () => {
+        await ctx.reload();
+        const response = await ctx.env.LOG_SERVICE.fetch('http://log/entry');
+        return { status: response.status, extra: ctx.env.KV_EXTRA };
+      })
+      .eq($.status, 404)
+      .eq($.extra, undefined);
+
+    await $check`The overrides must be an object`
+      .call(async () => {
+        try {
+          await ctx.reload([]);
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })
+      .eq($, 'the reload overrides must be an object');
+
+    await aegisTeardown(ctx);
+
+    $check`Teardown removes the reload function`
+      .value(ctx.reload)
+      .eq($, undefined);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that the parts of the context that the reloaded worker
+   * no longer has are removed. */
+  "Removed Features": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, { ...config, dev: { port: 9731 } });
+
+    $check`The server details are in the context`
+      .value(ctx)
+      .eq($.isServerListening, true)
+      .eq($.serverPort, 9731)
+      .eq($.serverBaseUrl, 'http://127.0.0.1:9731');
+
+    await ctx.reload({ dev: { port: undefined } });
+
+    await $check`Reloading without the port removes the server details`
+      .call(async () => ({
+        listening: ctx.isServerListening,
+        keys: ['serverPort', 'serverBaseUrl'].filter(key => key in ctx),
+        text: await (await ctx.fetch('/test')).text()
+      }))
+      .eq($.listening, false)
+      .deepEquals($.keys, [])
+      .eq($.text, 'Hello World');
+
+    await aegisTeardown(ctx);
+
+    $check`Teardown still removes everything`
+      .value(ctx)
+      .deepEquals($, {});
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that a pooled worker that was reloaded is put back the
+   * way it was before it is reused. */
+  "Pooled Reload": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, config, { pool: true });
+    const worker = ctx.worker;
+    await ctx.reload({ vars: { MODE: 'reloaded' } });
+    await aegisTeardown(ctx);
+
+    await aegisSetup(ctx, config, { pool: true });
+
+    $check`The reused worker has the original configuration`
+      .value({ same: ctx.worker === worker, mode: ctx.env.MODE })
+      .eq($.same, true)
+      .eq($.mode, 'initial');
+
+    await aegisTeardown(ctx);
+    await disposeWorkerPool();
+  },
+});
+
+
+/******************************************************************************/
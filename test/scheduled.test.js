@@ -0,0 +1,156 @@
+/******************************************************************************/
+
+
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { aegisSetup, aegisTeardown } from "../lib/index.js";
+import { resolveEnvironmentConfig } from "../lib/config.js";
+import { cronMatches } from "../lib/cron.js";
+
+
+/******************************************************************************/
+
+
+/* The configuration used for the integration tests in this file. */
+const config = {
+  main: './test/worker/worker.js',
+  compatibility_date: '2025-09-27',
+  kv_namespaces: [{ binding: 'KV_CONFIG', id: 'scheduled-kv' }],
+  triggers: {
+    crons: ['*/15 * * * *', '0 12 * * MON-FRI']
+  }
+};
+
+
+/******************************************************************************/
+
+
+export default Collection`Scheduled Handlers`({
+  /* This section tests that cron expressions are matched against times in the
+   * way that Cloudflare would trigger them. */
+  "Cron Matching": async ({ runScope }) => {
+    // 2025-06-02 is a Monday.
+    $check`Wildcards and steps match`
+      .value({
+        every: cronMatches('* * * * *', new Date('2025-06-02T10:07:00Z')),
+        step: cronMatches('*/15 * * * *', new Date('2025-06-02T10:30:00Z')),
+        offStep: cronMatches('*/15 * * * *', new Date('2025-06-02T10:31:00Z')),
+      })
+      .eq($.every, true)
+      .eq($.step, true)
+      .eq($.offStep, false);
+
+    $check`Ranges, lists and names match`
+      .value({
+        weekday: cronMatches('0 12 * * MON-FRI', new Date('2025-06-02T12:00:00Z')),
+        weekend: cronMatches('0 12 * * MON-FRI', new Date('2025-06-01T12:00:00Z')),
+        sunday: cronMatches('0 12 * * 1', new Date('2025-06-01T12:00:00Z')),
+        list: cronMatches('0 9,17 * JAN,JUN *', new Date('2025-06-02T17:00:00Z')),
+      })
+      .eq($.weekday, true)
+      .eq($.weekend, false)
+      .eq($.sunday, true)
+      .eq($.list, true);
+
+    $check`Cloudflare extensions match`
+      .value({
+        lastDay: cronMatches('0 0 L * *', new Date('2025-06-30T00:00:00Z')),
+        notLastDay: cronMatches('0 0 L * *', new Date('2025-06-29T00:00:00Z')),
+        lastFriday: cronMatches('0 0 * * 6L', new Date('2025-06-27T00:00:00Z')),
+        firstMonday: cronMatches('0 0 * * MON#1', new Date('2025-06-02T00:00:00Z')),
+        nearestWeekday: cronMatches('0 0 1W * *', new Date('2025-03-03T00:00:00Z')),
+      })
+      .eq($.lastDay, true)
+      .eq($.notLastDay, false)
+      .eq($.lastFriday, true)
+      .eq($.firstMonday, true)
+      .eq($.nearestWeekday, true);
+
+    $check`Custom checks test configured crons`
+      .value(config.triggers.crons)
+      .cronFiresAt($, new Date('2025-06-01T10:45:00Z'))
+      .cronFiresAt($, new Date('2025-06-02T12:00:00Z'))
+      .cronDoesNotFireAt($, new Date('2025-06-01T12:01:00Z'));
+
+    await $check`Invalid expressions throw`
+      .call(async () => {
+        try {
+          cronMatches('* * *', new Date());
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })
+      .eq($, `'* * *' is not a valid cron expression; expected 5 fields`);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that triggers are an inheritable key when resolving an
+   * environment. */
+  "Trigger Resolution": ({ runScope }) => {
+    const rawConfig = {
+      triggers: { crons: ['0 * * * *'] },
+      env: {
+        inherit: {},
+        override: { triggers: { crons: ['0 0 * * *'] } }
+      }
+    };
+
+    $check`Triggers are inherited and overridden`
+      .value({
+        top: resolveEnvironmentConfig(rawConfig, undefined).triggers,
+        inherit: resolveEnvironmentConfig(rawConfig, 'inherit').triggers,
+        override: resolveEnvironmentConfig(rawConfig, 'override').triggers,
+      })
+      .deepEquals($.top, { crons: ['0 * * * *'] })
+      .deepEquals($.inherit, { crons: ['0 * * * *'] })
+      .deepEquals($.override, { crons: ['0 0 * * *'] });
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that the scheduled handler of the worker can be invoked
+   * from the tests. */
+  "Triggering Scheduled Handlers": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, config);
+
+    $check`Configured crons are available`
+      .value(ctx.crons)
+      .deepEquals($, config.triggers.crons);
+
+    await $check`Scheduled handler runs with the given cron and time`
+      .call(async () => {
+        const result = await ctx.scheduled({
+          cron: '0 12 * * MON-FRI',
+          scheduledTime: new Date('2025-06-02T12:00:00Z')
+        });
+        const event = await ctx.env.KV_CONFIG.get('scheduled-event', 'json');
+        return { result, event };
+      })
+      .eq($.result.outcome, 'ok')
+      .eq($.event.cron, '0 12 * * MON-FRI')
+      .eq($.event.scheduledTime, new Date('2025-06-02T12:00:00Z').getTime());
+
+    await $check`Scheduled handler defaults to the first configured cron`
+      .call(async () => {
+        await ctx.scheduled();
+        return await ctx.env.KV_CONFIG.get('scheduled-event', 'json');
+      })
+      .eq($.cron, '*/15 * * * *');
+
+    await $check`Scheduled handler failures are reported in the outcome`
+      .call(async () => ctx.scheduled({ cron: 'fail' }))
+      .eq($.outcome, 'exception');
+
+    await aegisTeardown(ctx);
+  },
+});
+
+
+/******************************************************************************/
@@ -4,9 +4,28 @@
 import { Collection, $check, $ } from "@axel669/aegis";
 import { Miniflare } from "miniflare";
 import fs from "fs";
+import path from "path";
 
 import { aegisSetup, aegisTeardown } from "../lib/index.js";
-import { loadWranglerConfig } from "../lib/wrangler.js";
+import { loadWranglerConfig, findWranglerConfig } from "../lib/wrangler.js";
+
+
+/******************************************************************************/
+
+
+// Dynamically generate the folders and files used to test the discovery of
+// configuration files. The top folder has every kind of configuration file so
+// that the precedence can be tested, while the tomlOnly folder has only one.
+const discoveryDir = path.resolve(process.cwd(), 'test/discoveryTest');
+const nestedDir = path.join(discoveryDir, 'nested/deeper');
+const tomlOnlyDir = path.join(discoveryDir, 'tomlOnly');
+
+fs.mkdirSync(nestedDir, { recursive: true });
+fs.mkdirSync(tomlOnlyDir, { recursive: true });
+fs.writeFileSync(path.join(discoveryDir, 'wrangler.json'), JSON.stringify({ vars: { FOUND: 'json' } }));
+fs.writeFileSync(path.join(discoveryDir, 'wrangler.jsonc'), JSON.stringify({ vars: { FOUND: 'jsonc' } }));
+fs.writeFileSync(path.join(discoveryDir, 'wrangler.toml'), `[vars]\nFOUND = "toml"\n`);
+fs.writeFileSync(path.join(tomlOnlyDir, 'wrangler.toml'), `[vars]\nFOUND = "toml"\n`);
 
 
 /******************************************************************************/
@@ -80,6 +99,83 @@ export default Collection`Aegis Setup and Teardown`({
   /****************************************************************************/
 
 
+  /* This section tests that setting up from a configuration file in another
+   * folder finds the files relative to it without changing the working
+   * directory. */
+  "Working Directory": async ({ runScope }) => {
+    // Record the working directory every time that setup logs something, so
+    // that it can be seen that it never changes along the way. The migrations
+    // in the overrides are relative to the configuration file.
+    const rootDir = process.cwd();
+    const directories = [];
+    const ctx = {};
+    await aegisSetup(ctx, './test/worker/wrangler.toml', {
+      logger: { level: 'debug', sink: () => directories.push(process.cwd()) },
+      overrides: {
+        d1_databases: [{ binding: 'DB_MAIN', migrations_dir: './d1_migrations' }]
+      }
+    });
+
+    $check`Setup never changes the working directory`
+      .value(directories.length > 0 && directories.every(dir => dir === rootDir) && process.cwd() === rootDir)
+      .eq($, true);
+
+    await $check`Files relative to the configuration are still found`
+      .call(async () => {
+        const response = await ctx.fetch('/test');
+        const tables = await ctx.env.DB_MAIN.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all();
+        return {
+          text: await response.text(),
+          migrated: tables.results.some(row => row.name === 'd1_migrations')
+        };
+      })
+      .eq($.text, 'Hello World')
+      .eq($.migrated, true);
+
+    await aegisTeardown(ctx);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that a configuration file is searched for when none is
+   * given, using the same precedence as Wrangler. */
+  "Configuration Discovery": async ({ runScope }) => {
+    $check`Configuration files are found in the same way as Wrangler`
+      .value({
+        top: findWranglerConfig(discoveryDir),
+        nested: findWranglerConfig(nestedDir),
+        tomlOnly: findWranglerConfig(tomlOnlyDir),
+        none: findWranglerConfig(path.parse(discoveryDir).root)
+      })
+      .eq($.top, path.join(discoveryDir, 'wrangler.json'))
+      .eq($.nested, path.join(discoveryDir, 'wrangler.json'))
+      .eq($.tomlOnly, path.join(tomlOnlyDir, 'wrangler.toml'))
+      .eq($.none, null);
+
+    // Set up with no configuration from within the nested folder, which
+    // should find and use the configuration in the top folder.
+    const ctx = {};
+    const rootDir = process.cwd();
+    process.chdir(nestedDir);
+    try {
+      await aegisSetup(ctx);
+    } finally {
+      process.chdir(rootDir);
+    }
+
+    $check`The discovered configuration is used`
+      .value(ctx.env)
+      .eq($.FOUND, 'json');
+
+    await aegisTeardown(ctx);
+  },
+
+
+  /****************************************************************************/
+
+
   /* This section performs an integration test on all bindings except for
    * static assets. It verifies that loading a full wrangler configuration
    * results in a correctly configured Miniflare environment. */
@@ -91,6 +187,11 @@ export default Collection`Aegis Setup and Teardown`({
       .value(tomlConfig)
       .deepEquals($, jsoncConfig);
 
+    const jsonConfig = loadWranglerConfig('./test/worker/wrangler.json');
+    await $check`TOML and JSON configs are structurally identical`
+      .value(tomlConfig)
+      .deepEquals($, jsonConfig);
+
     const ctx = {};
     const workerMocks = {
       'my-auth-worker': {
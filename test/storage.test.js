@@ -0,0 +1,235 @@
+/******************************************************************************/
+
+
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { aegisSetup, aegisTeardown } from "../lib/index.js";
+
+
+/******************************************************************************/
+
+
+/* The configuration used for the tests in this file; this includes one of each
+ * of the kinds of storage that can be captured and restored. */
+const config = {
+  main: './test/worker/worker.js',
+  compatibility_date: '2025-09-27',
+  kv_namespaces: [{ binding: 'KV_CONFIG', id: 'storage-kv' }],
+  r2_buckets: [{ binding: 'R2_BUCKET', bucket_name: 'storage-bucket' }],
+  d1_databases: [{
+    binding: 'DB',
+    database_name: 'storage-db',
+    database_id: 'storage-db-id',
+    migrations_dir: './test/worker/d1_migrations'
+  }],
+  durable_objects: {
+    bindings: [{ name: 'DO_COUNTER', class_name: 'Counter' }]
+  }
+};
+
+
+/******************************************************************************/
+
+
+/* Gather up the current state of all of the storage in the given context, so
+ * that it can be checked. */
+async function gatherState(ctx) {
+  const kv = await ctx.env.KV_CONFIG.getWithMetadata('key', 'text');
+  const r2 = await ctx.env.R2_BUCKET.get('file.txt');
+  const tables = await ctx.env.DB.prepare(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'users'`
+  ).all();
+
+  let users = [];
+  if (tables.results.length !== 0) {
+    const { results } = await ctx.env.DB.prepare(`SELECT name FROM users ORDER BY id`).all();
+    users = results.map(row => row.name);
+  }
+
+  return {
+    kvValue: kv.value,
+    kvMetadata: kv.metadata,
+    extraKey: await ctx.env.KV_CONFIG.get('extra'),
+    r2Value: r2 !== null ? await r2.text() : null,
+    r2Metadata: r2 !== null ? r2.customMetadata : null,
+    users,
+  };
+}
+
+
+/******************************************************************************/
+
+
+export default Collection`Storage Snapshots`({
+  /* This section tests that storage can be captured, modified and then put
+   * back to the captured state. */
+  "Snapshot and Restore": async ({ runScope }) => {
+    const ctx = {};
+    await aegisSetup(ctx, config);
+
+    $check`Storage helpers are attached`
+      .value(ctx)
+      .isFunction($.snapshot)
+      .isFunction($.restore)
+      .isFunction($.resetStorage);
+
+    // Put some initial state into all of the storage and then capture it.
+    await ctx.env.KV_CONFIG.put('key', 'original', { metadata: { v: 1 } });
+    await ctx.env.R2_BUCKET.put('file.txt', 'original file', { customMetadata: { v: '1' } });
+    await ctx.fetch('/do');
+    const snapshot = await ctx.snapshot();
+
+    // Modify everything.
+    await ctx.env.KV_CONFIG.put('key', 'changed');
+    await ctx.env.KV_CONFIG.put('extra', 'extra');
+    await ctx.env.R2_BUCKET.delete('file.txt');
+    await ctx.env.DB.prepare(`INSERT INTO users (name) VALUES ('bob')`).run();
+    await ctx.fetch('/do');
+
+    await ctx.restore(snapshot);
+
+    await $check`KV, R2 and D1 are restored to the snapshot`
+      .call(async () => gatherState(ctx))
+      .eq($.kvValue, 'original')
+      .deepEquals($.kvMetadata, { v: 1 })
+      .eq($.extraKey, null)
+      .eq($.r2Value, 'original file')
+      .deepEquals($.r2Metadata, { v: '1' })
+      .deepEquals($.users, ['alice']);
+
+    await $check`Triggers are restored without firing for restored rows`
+      .call(async () => {
+        const { results } = await ctx.env.DB.prepare(`SELECT message FROM audit`).all();
+        await ctx.env.DB.prepare(`INSERT INTO users (name) VALUES ('carol')`).run();
+        const after = await ctx.env.DB.prepare(`SELECT message FROM audit`).all();
+        return { before: results.length, after: after.results.map(row => row.message) };
+      })
+      .eq($.before, 0)
+      .deepEquals($.after, ['added carol']);
+
+    await $check`Durable Object storage is restored to the snapshot`
+      .call(async () => (await ctx.fetch('/do')).text())
+      .eq($, `Durable Object 'Counter' count is: 2`);
+
+    await aegisTeardown(ctx);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that KV keys that are close to expiring when they are
+   * restored keep expiring, and that those that have expired are dropped. */
+  "Expiring Keys": async ({ runScope }) => {
+    const messages = [];
+    const logger = {
+      level: 'debug',
+      sink: (level, message) => messages.push(message)
+    };
+
+    const ctx = {};
+    await aegisSetup(ctx, config, { logger });
+
+    const now = Math.floor(Date.now() / 1000);
+    const entry = { value: new TextEncoder().encode('value').buffer, metadata: null };
+    await ctx.restore({
+      kv: {
+        KV_CONFIG: [
+          { ...entry, name: 'soon', expiration: now + 10 },
+          { ...entry, name: 'expired', expiration: now - 10 },
+          { ...entry, name: 'later', expiration: now + 3600 }
+        ]
+      },
+      r2: {}, d1: {}, durableObjects: null
+    });
+
+    await $check`Only the keys that have not expired are restored, all expiring`
+      .call(async () => {
+        const { keys } = await ctx.env.KV_CONFIG.list();
+        const ttls = Object.fromEntries(keys.map(key => [key.name, key.expiration - now]));
+        return {
+          names: Object.keys(ttls).sort(),
+          soon: ttls.soon >= 60 && ttls.soon <= 62,
+          later: ttls.later
+        };
+      })
+      .deepEquals($.names, ['later', 'soon'])
+      .eq($.soon, true)
+      .eq($.later, 3600);
+
+    $check`The adjusted and dropped keys are logged`
+      .value({
+        adjusted: messages.some(message => /^restoring KV key 'soon' to expire in 60 seconds instead of (9|10)$/.test(message)),
+        dropped: messages.includes(`not restoring KV key 'expired', since it has expired`)
+      })
+      .eq($.adjusted, true)
+      .eq($.dropped, true);
+
+    await aegisTeardown(ctx);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that storage can be emptied entirely, and is then put
+   * back into the state that it was in after setup. */
+  "Reset Storage": async ({ runScope }) => {
+    const messages = [];
+    const logger = {
+      level: 'debug',
+      sink: (level, message) => messages.push({ level, message })
+    };
+
+    const ctx = {};
+    await aegisSetup(ctx, config, { logger });
+
+    await ctx.env.KV_CONFIG.put('key', 'value');
+    await ctx.env.R2_BUCKET.put('file.txt', 'file');
+    await ctx.env.DB.prepare(`INSERT INTO users (name) VALUES ('grace')`).run();
+    await ctx.fetch('/do');
+
+    await ctx.resetStorage();
+
+    await $check`KV and R2 are empty, and D1 has only its migrations applied`
+      .call(async () => gatherState(ctx))
+      .eq($.kvValue, null)
+      .eq($.r2Value, null)
+      .deepEquals($.users, ['alice']);
+
+    await $check`Durable Object storage is empty`
+      .call(async () => (await ctx.fetch('/do')).text())
+      .eq($, `Durable Object 'Counter' count is: 1`);
+
+    $check`Migrations applied again by the reset are only reported at debug`
+      .value(messages.filter(entry => entry.message.startsWith('applied ')).map(entry => entry.level))
+      .deepEquals($, ['info', 'debug']);
+
+    await aegisTeardown(ctx);
+
+    $check`Storage helpers are removed on teardown`
+      .value(ctx)
+      .deepEquals($, {});
+
+    await aegisSetup(ctx, config, {
+      fixtures: {
+        kv: { KV_CONFIG: [{ key: 'key', value: 'seeded' }] },
+        d1: { DB: [{ table: 'users', rows: [{ name: 'frank' }] }] }
+      }
+    });
+
+    await ctx.env.KV_CONFIG.put('key', 'changed');
+    await ctx.env.DB.prepare(`DELETE FROM users`).run();
+    await ctx.resetStorage();
+
+    await $check`The fixtures are seeded again`
+      .call(async () => gatherState(ctx))
+      .eq($.kvValue, 'seeded')
+      .deepEquals($.users, ['alice', 'frank']);
+
+    await aegisTeardown(ctx);
+  },
+});
+
+
+/******************************************************************************/
@@ -0,0 +1,165 @@
+/******************************************************************************/
+
+
+import { Collection, $check, $ } from "@axel669/aegis";
+
+import { aegisSetup, aegisTeardown } from "../lib/index.js";
+import { validateWranglerConfig } from "../lib/validate.js";
+
+
+/******************************************************************************/
+
+
+export default Collection`Configuration Validation`({
+  /* This section tests that valid configurations, including the ones used by
+   * the other tests, do not report any problems. */
+  "Valid Configurations": async ({ runScope }) => {
+    $check`A complete configuration is valid`
+      .value(validateWranglerConfig({
+        $schema: 'node_modules/wrangler/config-schema.json',
+        name: 'valid-worker',
+        main: './worker.js',
+        compatibility_date: '2025-09-27',
+        compatibility_flags: ['nodejs_compat'],
+        dev: { port: 8787, hostname: 'localhost' },
+        vars: { API_VERSION: 'v1' },
+        kv_namespaces: [{ binding: 'KV', id: 'kv-id', preview_id: 'preview' }],
+        r2_buckets: [{ binding: 'BUCKET', bucket_name: 'bucket' }],
+        d1_databases: [{ binding: 'DB', database_id: 'db-id', migrations_dir: 'sql' }],
+        durable_objects: { bindings: [{ name: 'DO', class_name: 'Counter' }] },
+        queues: {
+          producers: [{ binding: 'QUEUE', queue: 'work' }],
+          consumers: [{ queue: 'work', max_batch_size: 5, dead_letter_queue: 'dlq' }]
+        },
+        services: [{ binding: 'AUTH', service: 'auth-worker' }],
+        triggers: { crons: ['* * * * *'] },
+        env: {
+          staging: { vars: { API_VERSION: 'v2' }, dev: { port: 9000 } }
+        }
+      }))
+      .keyCount($, 0);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that keys with the wrong type or that are missing
+   * required fields are reported, with the path to the problem. */
+  "Invalid Keys": async ({ runScope }) => {
+    $check`Problems are reported with their key paths`
+      .value(validateWranglerConfig({
+        main: 42,
+        r2_buckets: { binding: 'BUCKET' },
+        kv_namespaces: [{ id: 'no-binding' }, { binding: 7 }],
+        queues: { consumers: [{ queue: 'work', max_retries: 'three' }] },
+        env: {
+          staging: { services: [{ binding: 'AUTH' }] },
+          broken: 'not an object'
+        }
+      }))
+      .deepEquals($, [
+        { kind: 'invalid', path: 'main', message: 'must be a string' },
+        { kind: 'invalid', path: 'r2_buckets', message: 'must be an array' },
+        { kind: 'invalid', path: 'kv_namespaces[0].binding', message: 'is required' },
+        { kind: 'invalid', path: 'kv_namespaces[1].binding', message: 'must be a string' },
+        { kind: 'invalid', path: 'queues.consumers[0].max_retries', message: 'must be a number' },
+        { kind: 'invalid', path: 'env.staging.services[0].service', message: 'is required' },
+        { kind: 'invalid', path: 'env.broken', message: 'must be an object' }
+      ]);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests that keys that are not known to Wrangler, or that are
+   * known but not supported, are reported. */
+  "Unknown and Unsupported Keys": async ({ runScope }) => {
+    $check`Unknown and unsupported keys are flagged`
+      .value(validateWranglerConfig({
+        compatability_date: '2025-09-27',
+        routes: ['example.com/*'],
+        env: {
+          staging: { hyperdrive: [], $schema: 'schema.json' }
+        }
+      }))
+      .deepEquals($, [
+        { kind: 'unknown', path: 'compatability_date', message: 'is not a known Wrangler configuration key' },
+        { kind: 'unsupported', path: 'routes', message: 'is not supported by cf-aegis and will be ignored' },
+        { kind: 'unsupported', path: 'env.staging.hyperdrive', message: 'is not supported by cf-aegis and will be ignored' },
+        { kind: 'unknown', path: 'env.staging.$schema', message: 'is not a known Wrangler configuration key' }
+      ]);
+  },
+
+
+  /****************************************************************************/
+
+
+  /* This section tests the validation modes of the setup helper. */
+  "Validation Modes": async ({ runScope }) => {
+    const config = { r2_buckets: [{ binding: 'BUCKET' }], routes: ['example.com/*'], mian: './worker.js' };
+
+    const ctx = {};
+    await aegisSetup(ctx, config);
+    $check`In warn mode, setup continues despite problems`
+      .value(ctx.env)
+      .isObject($);
+    await aegisTeardown(ctx);
+
+    await $check`In warn mode, invalid keys are still an error`
+      .call(async () => {
+        try {
+          await aegisSetup(ctx, {
+            r2_buckets: {},
+            kv_namespaces: [{ id: 'no-binding' }],
+            services: [{ binding: 'AUTH' }],
+            mian: './worker.js'
+          });
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })
+      .eq($, "invalid configuration:\n" +
+             "  - <inline config>: 'r2_buckets' must be an array\n" +
+             "  - <inline config>: 'kv_namespaces[0].binding' is required\n" +
+             "  - <inline config>: 'services[0].service' is required");
+
+    await $check`In strict mode, invalid and unknown keys are an error`
+      .call(async () => {
+        try {
+          await aegisSetup(ctx, { ...config, r2_buckets: 'BUCKET' }, { validation: 'strict' });
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })
+      .eq($, "invalid configuration:\n" +
+             "  - <inline config>: 'r2_buckets' must be an array\n" +
+             "  - <inline config>: 'mian' is not a known Wrangler configuration key");
+
+    await $check`In strict mode, unsupported keys are not an error`
+      .call(async () => {
+        await aegisSetup(ctx, { routes: ['example.com/*'] }, { validation: 'strict' });
+        const isSetup = ctx.env !== undefined;
+        await aegisTeardown(ctx);
+        return isSetup;
+      })
+      .eq($, true);
+
+    await $check`An invalid validation mode is rejected`
+      .call(async () => {
+        try {
+          await aegisSetup(ctx, {}, { validation: 'loud' });
+          return null;
+        } catch (error) {
+          return error.message;
+        }
+      })
+      .eq($, "'loud' is not a valid validation mode; use 'warn' or 'strict'");
+  },
+});
+
+
+/******************************************************************************/
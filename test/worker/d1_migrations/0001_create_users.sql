@@ -0,0 +1,10 @@
+-- Create the table that holds users; this is deliberately spread over multiple
+-- lines to ensure that statements are not split on newlines.
+CREATE TABLE users (
+  id INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  motto TEXT
+);
+
+/* Seed a user whose motto contains a semicolon; it should not be split. */
+INSERT INTO users (name, motto) VALUES ('alice', 'one; two');
@@ -0,0 +1,10 @@
+CREATE TABLE audit (
+  id INTEGER PRIMARY KEY,
+  message TEXT NOT NULL
+);
+
+-- The trigger body contains semicolons that must not end the statement.
+CREATE TRIGGER users_audit AFTER INSERT ON users
+BEGIN
+  INSERT INTO audit (message) VALUES ('added ' || NEW.name);
+END;
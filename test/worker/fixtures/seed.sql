@@ -0,0 +1,3 @@
+-- Seed data used by the fixture tests.
+INSERT INTO users (name, motto) VALUES ('carol', 'from sql');
+INSERT INTO users (name, motto) VALUES ('dave', 'also; from sql');
@@ -0,0 +1,24 @@
+/******************************************************************************/
+
+
+/* The API worker; it asks the auth worker who the user is and records that in
+ * its KV namespace, or asks the gateway to identify itself. */
+export default {
+  async fetch(request, env) {
+    const url = new URL(request.url);
+
+    if (url.pathname === "/caller") {
+      const response = await env.GATEWAY.fetch("http://gateway/whoami");
+      return new Response(`api (${env.API_NAME}) > ${await response.text()}`);
+    }
+
+    const response = await env.AUTH.fetch(request);
+    const user = await response.text();
+    await env.API_KV.put("last-user", user);
+
+    return new Response(`api (${env.API_NAME}) > ${user}`);
+  }
+}
+
+
+/******************************************************************************/
@@ -0,0 +1,14 @@
+/******************************************************************************/
+
+
+/* The auth worker; it reports the user given in the query string, along with
+ * the realm that it is configured for. */
+export default {
+  async fetch(request, env) {
+    const user = new URL(request.url).searchParams.get("user") ?? "anonymous";
+    return new Response(`auth ${user}@${env.REALM}`);
+  }
+}
+
+
+/******************************************************************************/
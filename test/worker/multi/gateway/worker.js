@@ -0,0 +1,25 @@
+/******************************************************************************/
+
+
+/* The gateway worker; requests are passed on to the API worker, except for a
+ * route that identifies this worker and one that goes to the billing service,
+ * which is not one of the workers in the project. */
+export default {
+  async fetch(request, env) {
+    const url = new URL(request.url);
+
+    if (url.pathname === "/whoami") {
+      return new Response("gateway");
+    }
+
+    if (url.pathname === "/billing") {
+      return env.BILLING.fetch(request);
+    }
+
+    const response = await env.API.fetch(request);
+    return new Response(`gateway > ${await response.text()}`);
+  }
+}
+
+
+/******************************************************************************/
@@ -51,6 +51,28 @@ export default {
       return new Response("Sent message to queue");
     }
 
+    // Make an outbound request to the URL in the query string, passing along
+    // the method and body, and report back what the response was.
+    if (url.pathname === "/outbound") {
+      try {
+        const response = await fetch(url.searchParams.get("target"), {
+          method: request.method,
+          body: request.method === "GET" ? undefined : await request.text()
+        });
+        return new Response(`${response.status} ${await response.text()}`);
+      } catch (error) {
+        return new Response(`failed: ${error.message}`, { status: 502 });
+      }
+    }
+
+    // Write the message in the query string to the console at the given level,
+    // along with an object, to test that the output can be captured.
+    if (url.pathname === "/log") {
+      const level = url.searchParams.get("level") ?? "log";
+      console[level](url.searchParams.get("message"), { level });
+      return new Response("Logged");
+    }
+
     // Simple test route
     if (url.pathname === "/test") {
       return new Response("Hello World");
@@ -89,10 +111,15 @@ export default {
 
   // When the configuration says that we are a consumer of a queue, this gets
   // invoked whenever data arrives at the queue. We push the value into the
-  // KV store to be delivered back to the testbed.
+  // KV store to be delivered back to the testbed. Messages whose body asks to
+  // be retried always are, so that retry handling can be tested.
   async queue(batch, env) {
     const messages = [];
     for (const message of batch.messages) {
+      if (message.body?.retry === true) {
+        message.retry();
+        continue;
+      }
       messages.push(message.body);
       message.ack();
     }
@@ -100,6 +127,20 @@ export default {
       await env.KV_CONFIG.put('queue-messages', JSON.stringify(messages));
     }
   },
+
+  // When a scheduled event is triggered, record the details of the event in the
+  // KV store to be delivered back to the testbed. The special cron value of
+  // 'fail' causes the handler to throw instead.
+  async scheduled(controller, env) {
+    if (controller.cron === 'fail') {
+      throw new Error('scheduled handler failed');
+    }
+
+    await env.KV_CONFIG.put('scheduled-event', JSON.stringify({
+      cron: controller.cron,
+      scheduledTime: controller.scheduledTime
+    }));
+  },
 };
 
 